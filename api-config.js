@@ -3,8 +3,12 @@
  *
  * This module handles:
  * - Fetching data from the real API
- * - Transforming API response to visualization format
+ * - Transforming API response to visualization format (declarative field mapping)
  * - Automatic polling with configurable interval
+ * - Push transports (WebSocket / Server-Sent Events) with fallback to polling
+ * - MQTT over WebSocket for direct gateway/PLC feeds
+ * - Operator commands confirmed against telemetry
+ * - OpenID Connect sign-in (authorization code + PKCE) with silent token renewal
  * - Error handling and connection status
  */
 
@@ -19,9 +23,23 @@ const API_BASE_URLS = {
 };
 
 const API_PATHS = {
-    data: '/api/Dashboard/GetAssetDevicesData'
+    data: '/api/Dashboard/GetAssetDevicesData',
+    stream: '/api/Dashboard/StreamAssetDevicesData',  // Server-Sent Events
+    socket: '/ws/AssetDevicesData',                   // WebSocket
+    command: '/api/Dashboard/SendAssetCommand'        // Operator commands (POST)
 };
 
+// Live data transports, selected with ?transport=
+const TRANSPORT_LABELS = {
+    poll: 'HTTP Polling',
+    ws: 'WebSocket',
+    sse: 'SSE',
+    mqtt: 'MQTT'
+};
+
+// MQTT client library, loaded on demand from the CDN
+const MQTT_LIBRARY_URL = 'https://unpkg.com/mqtt@5.10.1/dist/mqtt.min.js';
+
 function getModeFromUrl() {
     const urlParams = new URLSearchParams(window.location.search);
     const mode = urlParams.get('mode');
@@ -33,8 +51,82 @@ function getModeFromUrl() {
     return null;
 }
 
-const _currentMode = getModeFromUrl();
-const _baseUrl = _currentMode ? API_BASE_URLS[_currentMode] : null;
+// Hosts ?apiBase= may point at - the bearer token is sent there
+const LOCAL_API_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * ?apiBase=<url> replaces the mode base URL for local testing (dev/mock-plant-api.js).
+ * Only this page's origin or a loopback host is accepted.
+ */
+function getApiBaseFromUrl() {
+    const apiBase = new URLSearchParams(window.location.search).get('apiBase');
+    if (!apiBase) return null;
+
+    let url;
+    try {
+        url = new URL(apiBase, window.location.href);
+    } catch {
+        url = null;
+    }
+    if (!url || (url.origin !== window.location.origin && !LOCAL_API_HOSTS.includes(url.hostname))) {
+        console.error(`Refusing ?apiBase=${apiBase} - only this origin or localhost is allowed`);
+        return null;
+    }
+    console.log(`API base: ${url.origin}${url.pathname.replace(/\/$/, '')} (?apiBase=)`);
+    return `${url.origin}${url.pathname.replace(/\/$/, '')}`;
+}
+
+/**
+ * Parse ?assets=101,102:North Plant,103 into [{ id, name }] for the asset picker and overview
+ */
+function getAssetListFromUrl() {
+    const urlParams = new URLSearchParams(window.location.search);
+    const list = urlParams.get('assets');
+    if (!list) return [];
+
+    return list.split(',').map(entry => {
+        const [id, ...name] = entry.split(':');
+        return { id: Number(id), name: name.join(':').trim() || `Asset ${id.trim()}` };
+    }).filter(asset => Number.isFinite(asset.id) && asset.id > 0);
+}
+
+// PKCE request kept across the redirect to the identity provider
+const OIDC_REQUEST_KEY = 'wtp_oidc_request';
+
+/**
+ * The identity provider redirects back to the bare page URL. Put the query saved
+ * by login() (?mode=, ?assetId=, ...) back before anything reads it, and keep the
+ * sign-in response for handleLoginCallback().
+ */
+function takeLoginResponse() {
+    const params = new URLSearchParams(window.location.search);
+    if (!params.has('code') && !params.has('error')) return null;
+
+    const request = JSON.parse(sessionStorage.getItem(OIDC_REQUEST_KEY) || 'null');
+    sessionStorage.removeItem(OIDC_REQUEST_KEY);
+    if (!request && !params.has('state')) return null;
+
+    window.history.replaceState(null, '', window.location.pathname + (request?.returnSearch || '') + window.location.hash);
+    return { params, request };
+}
+
+let _loginResponse = takeLoginResponse();
+
+const _apiBaseOverride = getApiBaseFromUrl();
+const _currentMode = _apiBaseOverride ? null : getModeFromUrl();
+const _baseUrl = _apiBaseOverride || (_currentMode ? API_BASE_URLS[_currentMode] : null);
+
+function getTransportFromUrl() {
+    const urlParams = new URLSearchParams(window.location.search);
+    const transport = urlParams.get('transport');
+    if (!transport) return 'poll';
+    if (TRANSPORT_LABELS[transport]) {
+        console.log(`Live data transport: ${transport}`);
+        return transport;
+    }
+    console.warn(`Unknown ?transport=${transport}, using polling. Valid values: poll, ws, sse, mqtt.`);
+    return 'poll';
+}
 
 // ============================================================================
 // CONFIGURATION
@@ -47,357 +139,1981 @@ const API_CONFIG = {
     // Asset ID — read from URL query param ?assetId=..., no hardcoded default
     assetId: null,
 
+    // Plants offered by the asset picker and overview (from ?assets=); the active asset is always included
+    assets: getAssetListFromUrl(),
+
+    // Overview polls the other assets at this (low) frequency
+    overviewInterval: 30000,
+
     // Bearer token (will be loaded from localStorage or obtained via login)
     bearerToken: null,
 
-    // Storage key for token
+    // Storage key for the session (access and ID token, expiry, user).
+    // The refresh token only goes to sessionStorage, under <storageKey>_refresh.
     storageKey: 'wtp_bearer_token',
 
-    // Polling interval in milliseconds
+    // OpenID Connect sign-in (authorization code + PKCE) against ?issuer=.
+    // Without an issuer only ?auth= tokens are accepted.
+    oidc: {
+        issuer: new URLSearchParams(window.location.search).get('issuer'),
+        clientId: new URLSearchParams(window.location.search).get('clientId') || 'wtp-visualizer',
+        scope: 'openid profile offline_access',
+        // Renew the access token this long before it expires
+        renewBefore: 60000
+    },
+
+    // Roles file, see ROLE_PERMISSIONS. Always this deployment's own file - never taken
+    // from a profile or URL parameter, so a crafted link cannot grant itself a role.
+    rolesUrl: 'roles.json',
+
+    // Field mapping: explicit URL (from ?mapping=, else the plant profile), else <fieldMappingDir>/asset-<assetId>.json
+    // when the profile names a directory, else DEFAULT_FIELD_SCHEMA
+    fieldMappingUrl: new URLSearchParams(window.location.search).get('mapping'),
+    fieldMappingDir: null,
+
+    // Polling interval in milliseconds, measured from the start of one request to the next
     pollingInterval: 3000,
 
+    // A poll request that has not answered within this time is aborted and counts as a failure
+    requestTimeout: 10000,
+
+    // Live data transport: 'poll', 'ws' or 'sse' (from ?transport=)
+    transport: getTransportFromUrl(),
+
+    // Full push endpoint URL (from ?streamUrl=), otherwise derived from the mode base URL
+    streamUrl: new URLSearchParams(window.location.search).get('streamUrl'),
+
+    // Give up on a push transport that has not opened within this time
+    pushConnectTimeout: 10000,
+
+    // MQTT topic-to-field mapping (from ?mqttMapping=) and broker URL override (from ?broker=)
+    mqttMappingUrl: new URLSearchParams(window.location.search).get('mqttMapping') || 'mqtt-mapping.json',
+    mqttBroker: new URLSearchParams(window.location.search).get('broker'),
+
+    // Operator command endpoint (from ?commandUrl=), otherwise derived from the mode base URL
+    commandUrl: new URLSearchParams(window.location.search).get('commandUrl'),
+
+    // A command that the telemetry has not confirmed within this time is failed
+    commandTimeout: 30000,
+
     // Enable/disable API polling on startup
     autoStart: true,
 
-    // Retry settings
+    // Retry settings. Polling backs off from retryDelay, doubling per failure up to
+    // maxRetryDelay, and never gives up; push transports fall back to polling after maxRetries
     maxRetries: 3,
-    retryDelay: 2000
+    retryDelay: 2000,
+    maxRetryDelay: 60000
 };
 
 // ============================================================================
 // STATE
 // ============================================================================
 
-let pollingIntervalId = null;
-let isPolling = false;
+let isPolling = false;          // Live data running (any transport)
+let pollTimerId = null;
+let pollController = null;      // AbortController of the request in flight
+let pollState = 'idle';         // 'idle', 'waiting', 'fetching', 'backoff' or 'offline'
+let nextPollAt = null;
+let pollSequence = 0;           // Number of the latest poll request
+let lastAppliedSequence = 0;    // Number of the newest response handed to the visualizer
+let activeTransport = null;     // Transport in use - may have fallen back to 'poll'
+let pushSource = null;          // Open WebSocket or EventSource
+let pushRetries = 0;
+let pushReconnectTimer = null;
+let pushOpenTimer = null;
+let mqttClient = null;
+let mqttValues = {};            // Latest value per API field name, built from MQTT messages
+let mqttFlushTimer = null;
+let mqttLibraryPromise = null;
 let lastFetchTime = null;
 let connectionStatus = 'disconnected';
 let consecutiveErrors = 0;
 let isAuthenticated = false;
+let session = null;              // { accessToken, refreshToken, idToken, expiresAt, user }
+let renewTimerId = null;
+let refreshPromise = null;
+let renewedAfter401 = false;     // The last poll got a 401 and renewed the token; another 401 ends the session
+let oidcMetadataPromise = null;
+let overviewActive = false;      // Overview polling running (see startAssetOverview)
+let overviewTimerId = null;
+let overviewController = null;   // AbortController of the overview request in flight
+let overviewPromise = null;      // Overview pass in progress, shared with refreshAssetOverview
+let overviewStatus = {};         // Latest health per asset id for the overview grid
+const assetSchemas = new Map();  // Field mapping per asset, loaded on first overview poll
+
+// ============================================================================
+// PLANT PROFILE
+// ============================================================================
+
+/**
+ * Built-in profile - the conventional plant in wtp-model.glb.
+ * profiles/<name>.json is merged over it.
+ */
+const DEFAULT_PROFILE = {
+    name: 'Water Treatment Plant',
+    model: 'wtp-model.glb',
+    bindings: null,          // Defaults to <model>.bindings.json
+    fieldMapping: null,      // One mapping for every asset, else <fieldMappingDir>/asset-<assetId>.json
+    fieldMappingDir: null,   // Directory of per-asset mappings; none are probed without it
+    alarmRules: 'alarm-rules.json',
+    instances: { SCT: 2, CWT: 2 },
+    pipeLinks: null,         // Process links (default: the visualizer's PIPE_LINKS)
+    expectedBindings: null,  // Model coverage check (default: EXPECTED_BINDINGS)
+    waterQualityFields: null, // Per water mesh, replacing WATER_QUALITY_FIELDS entries
+    commands: null,          // Per component, replacing COMMAND_CATALOG entries
+    dashboard: null          // { sections: [...] } - see the visualizer's applyDashboardLayout()
+};
+
+let profilePromise = null;
+
+/**
+ * ?profile=<name> loads profiles/<name>.json; a value ending in .json is used as URL
+ * if it is on this origin (a profile picks the model, rules and mappings the page trusts)
+ */
+function getProfileUrl() {
+    const name = new URLSearchParams(window.location.search).get('profile') || 'default';
+    if (name.endsWith('.json')) {
+        let url;
+        try {
+            url = new URL(name, window.location.href);
+        } catch {
+            url = null;
+        }
+        if (url?.origin === window.location.origin) return name;
+        console.error(`Refusing cross-origin ?profile=${name}, using the default profile`);
+        return 'profiles/default.json';
+    }
+    if (!/^[\w-]+$/.test(name)) {
+        console.error(`Invalid ?profile=${name}, using the default profile`);
+        return 'profiles/default.json';
+    }
+    return `profiles/${name}.json`;
+}
+
+/**
+ * Load the plant profile once - shared by the API and the visualizer
+ */
+function loadProfile() {
+    if (profilePromise) return profilePromise;
+
+    const url = getProfileUrl();
+    profilePromise = fetch(url)
+        .then(response => {
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            return response.json();
+        })
+        .then(profile => {
+            console.log(`Plant profile loaded from ${url}`);
+            return {
+                ...DEFAULT_PROFILE,
+                ...profile,
+                instances: { ...DEFAULT_PROFILE.instances, ...profile.instances }
+            };
+        })
+        .catch(error => {
+            console.error(`Failed to load plant profile ${url}, using the built-in profile:`, error);
+            return DEFAULT_PROFILE;
+        })
+        .then(profile => {
+            // ?mapping= still wins over the profile
+            API_CONFIG.fieldMappingUrl = API_CONFIG.fieldMappingUrl || profile.fieldMapping;
+            API_CONFIG.fieldMappingDir = profile.fieldMappingDir || API_CONFIG.fieldMappingDir;
+            commandCatalog = { ...COMMAND_CATALOG, ...profile.commands };
+            return profile;
+        });
+
+    return profilePromise;
+}
+
+// ============================================================================
+// AUTHENTICATION
+// ============================================================================
+
+// Longest delay setTimeout() accepts (~24.8 days)
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// Query parameters that carry credentials and are removed from the address bar
+const AUTH_URL_PARAMS = ['auth', 'code', 'state', 'session_state', 'iss', 'error', 'error_description'];
+
+/**
+ * Decode the claims of a JWT without verifying it - the API checks the signature.
+ * Returns null for opaque tokens.
+ */
+function decodeJwt(token) {
+    try {
+        const base64 = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+        const bytes = Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+        return JSON.parse(new TextDecoder().decode(bytes));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Make a session from a token endpoint response (or a bare access token),
+ * store it and schedule its renewal
+ */
+function setSession(tokens) {
+    const claims = decodeJwt(tokens.access_token) || {};
+    const identity = decodeJwt(tokens.id_token || '') || claims;
+
+    session = {
+        accessToken: tokens.access_token,
+        refreshToken: tokens.refresh_token || session?.refreshToken || null,
+        idToken: tokens.id_token || session?.idToken || null,
+        expiresAt: claims.exp ? claims.exp * 1000
+            : tokens.expires_in ? Date.now() + tokens.expires_in * 1000
+            : null,
+        user: identity.name || identity.preferred_username || identity.email || identity.sub || null
+    };
+
+    API_CONFIG.bearerToken = session.accessToken;
+    isAuthenticated = true;
+    storeSession();
+    scheduleRenewal();
+    updateRole();
+    // Restarts the overview after a sign-in; no-op while it runs or before the assets are known
+    startAssetOverview();
+}
+
+/**
+ * Persist the session. The long-lived refresh token stays out of localStorage:
+ * it is kept for this tab only and a new tab signs in again once its token expires.
+ */
+function storeSession() {
+    const { refreshToken, ...persisted } = session;
+    localStorage.setItem(API_CONFIG.storageKey, JSON.stringify(persisted));
+    if (refreshToken) sessionStorage.setItem(`${API_CONFIG.storageKey}_refresh`, refreshToken);
+    else sessionStorage.removeItem(`${API_CONFIG.storageKey}_refresh`);
+}
+
+/**
+ * Load the session from localStorage and the refresh token of this tab.
+ * An expired session is only kept when it can be renewed with the refresh token.
+ */
+function loadStoredSession() {
+    const stored = localStorage.getItem(API_CONFIG.storageKey);
+    if (!stored) return false;
+
+    let saved;
+    try {
+        saved = JSON.parse(stored);
+    } catch {
+        // Bare token stored by older versions
+        saved = { accessToken: stored, expiresAt: decodeJwt(stored)?.exp * 1000 || null };
+    }
+
+    // Refresh tokens stored in localStorage by older versions are dropped
+    const { refreshToken: legacyRefreshToken, ...persisted } = saved || {};
+    saved = { ...persisted, refreshToken: sessionStorage.getItem(`${API_CONFIG.storageKey}_refresh`) };
+
+    if (!saved.accessToken || (isExpired(saved) && !saved.refreshToken)) {
+        localStorage.removeItem(API_CONFIG.storageKey);
+        sessionStorage.removeItem(`${API_CONFIG.storageKey}_refresh`);
+        return false;
+    }
+
+    session = saved;
+    if (legacyRefreshToken) storeSession();
+    API_CONFIG.bearerToken = session.accessToken;
+    isAuthenticated = true;
+    console.log('Loaded stored session');
+    scheduleRenewal();
+    updateRole();
+    return true;
+}
+
+function isExpired(s) {
+    return Boolean(s?.expiresAt) && s.expiresAt <= Date.now();
+}
+
+/**
+ * Get token from URL parameter
+ */
+function getTokenFromUrl() {
+    const urlParams = new URLSearchParams(window.location.search);
+    return urlParams.get('auth');
+}
+
+/**
+ * Remove tokens and sign-in responses from the address bar and history entry
+ */
+function stripAuthParams() {
+    const params = new URLSearchParams(window.location.search);
+    AUTH_URL_PARAMS.forEach(name => params.delete(name));
+    const query = params.toString();
+    window.history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : '') + window.location.hash);
+}
+
+/**
+ * Get assetId from URL query parameter (?assetId=...)
+ */
+function getAssetIdFromUrl() {
+    const urlParams = new URLSearchParams(window.location.search);
+    const id = urlParams.get('assetId');
+    return id ? Number(id) : null;
+}
+
+/**
+ * Clear the stored session
+ */
+function clearToken() {
+    clearTimeout(renewTimerId);
+    renewTimerId = null;
+    session = null;
+    API_CONFIG.bearerToken = null;
+    localStorage.removeItem(API_CONFIG.storageKey);
+    sessionStorage.removeItem(`${API_CONFIG.storageKey}_refresh`);
+    isAuthenticated = false;
+    updateRole();
+    console.log('Token cleared');
+}
+
+/**
+ * Discovery document of the configured issuer (cached)
+ */
+function getOidcMetadata() {
+    if (!oidcMetadataPromise) {
+        const issuer = API_CONFIG.oidc.issuer.replace(/\/$/, '');
+        oidcMetadataPromise = fetch(`${issuer}/.well-known/openid-configuration`)
+            .then(response => {
+                if (!response.ok) throw new Error(`OIDC discovery failed: HTTP ${response.status}`);
+                return response.json();
+            })
+            .catch(error => {
+                oidcMetadataPromise = null;
+                throw error;
+            });
+    }
+    return oidcMetadataPromise;
+}
+
+function base64UrlEncode(bytes) {
+    return btoa(String.fromCharCode(...new Uint8Array(bytes)))
+        .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function randomString() {
+    return base64UrlEncode(crypto.getRandomValues(new Uint8Array(32)));
+}
+
+function getRedirectUri() {
+    return window.location.origin + window.location.pathname;
+}
+
+/**
+ * Redirect to the identity provider (authorization code flow with PKCE).
+ * The current query is restored after the callback.
+ */
+async function login() {
+    if (!API_CONFIG.oidc.issuer) {
+        showLoginModal('No identity provider configured. Add ?issuer=<url> or open the page with ?auth=<token>.');
+        return;
+    }
+
+    const metadata = await getOidcMetadata();
+    const verifier = randomString();
+    const challenge = base64UrlEncode(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier)));
+    const request = { state: randomString(), nonce: randomString(), verifier, returnSearch: window.location.search };
+    sessionStorage.setItem(OIDC_REQUEST_KEY, JSON.stringify(request));
+
+    const url = new URL(metadata.authorization_endpoint);
+    url.search = new URLSearchParams({
+        response_type: 'code',
+        client_id: API_CONFIG.oidc.clientId,
+        redirect_uri: getRedirectUri(),
+        scope: API_CONFIG.oidc.scope,
+        state: request.state,
+        nonce: request.nonce,
+        code_challenge: challenge,
+        code_challenge_method: 'S256'
+    }).toString();
+
+    window.location.assign(url.toString());
+}
+
+/**
+ * POST to the token endpoint. Errors carry the HTTP status.
+ */
+async function requestTokens(params) {
+    const metadata = await getOidcMetadata();
+    const response = await fetch(metadata.token_endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ client_id: API_CONFIG.oidc.clientId, ...params })
+    });
+
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const error = new Error(body.error_description || body.error || `HTTP ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+    return body;
+}
+
+/**
+ * Finish the sign-in when the identity provider redirected back with ?code=
+ * (see takeLoginResponse()).
+ * Returns false when the page was not opened by a sign-in callback.
+ */
+async function handleLoginCallback() {
+    if (!_loginResponse) return false;
+
+    const { params, request } = _loginResponse;
+    _loginResponse = null;
+
+    if (params.has('error')) {
+        throw new Error(`Sign-in failed: ${params.get('error_description') || params.get('error')}`);
+    }
+    if (!request || params.get('state') !== request.state) {
+        throw new Error('Sign-in failed: state mismatch');
+    }
+
+    const tokens = await requestTokens({
+        grant_type: 'authorization_code',
+        code: params.get('code'),
+        redirect_uri: getRedirectUri(),
+        code_verifier: request.verifier
+    });
+    if (tokens.id_token && decodeJwt(tokens.id_token)?.nonce !== request.nonce) {
+        throw new Error('Sign-in failed: nonce mismatch');
+    }
+
+    setSession(tokens);
+    console.log(`Signed in${session.user ? ` as ${session.user}` : ''}`);
+    return true;
+}
+
+/**
+ * Renew the access token with the refresh token. Concurrent callers share one
+ * request. Resolves to false when the session cannot be renewed.
+ */
+function refreshSession() {
+    if (!session?.refreshToken || !API_CONFIG.oidc.issuer) return Promise.resolve(false);
+
+    if (!refreshPromise) {
+        refreshPromise = requestTokens({ grant_type: 'refresh_token', refresh_token: session.refreshToken })
+            .then(tokens => {
+                setSession(tokens);
+                console.log('Session renewed');
+                return true;
+            })
+            .catch(error => {
+                console.warn('Session renewal failed:', error.message);
+                return false;
+            })
+            .finally(() => {
+                refreshPromise = null;
+            });
+    }
+    return refreshPromise;
+}
+
+/**
+ * Renew silently shortly before the access token expires, or end the session
+ * when it expires and cannot be renewed
+ */
+function scheduleRenewal() {
+    clearTimeout(renewTimerId);
+    renewTimerId = null;
+    if (!session?.expiresAt) return;
+
+    // Short-lived tokens are renewed half way through their remaining lifetime
+    const lead = Math.max(Math.min(API_CONFIG.oidc.renewBefore, (session.expiresAt - Date.now()) / 2), 0);
+    const renewAt = session.refreshToken ? session.expiresAt - lead : session.expiresAt;
+    renewTimerId = setTimeout(async () => {
+        renewTimerId = null;
+        if (await refreshSession()) return;
+        if (isExpired(session)) {
+            handleSessionExpired('Your session has expired. Please sign in again.');
+        } else {
+            // Renewal failed but the token is still valid - sign out when it expires
+            renewTimerId = setTimeout(() => handleSessionExpired('Your session has expired. Please sign in again.'),
+                session.expiresAt - Date.now());
+        }
+    }, Math.min(Math.max(renewAt - Date.now(), 0), MAX_TIMER_DELAY));
+}
+
+/**
+ * Stop live data and ask the user to sign in again
+ */
+function handleSessionExpired(message) {
+    console.error('Authentication failed - token is invalid or expired');
+    clearToken();
+    if (isPolling) stopPolling();
+    stopAssetOverview();
+    updateToggleButton();
+
+    const dataSource = document.getElementById('data-source');
+    if (dataSource) {
+        dataSource.textContent = 'Data: Signed Out';
+        dataSource.style.color = '#ff5252';
+    }
+
+    showLoginModal(message);
+}
+
+/**
+ * Sign out locally and at the identity provider
+ */
+async function logout() {
+    const idToken = session?.idToken;
+    clearToken();
+    if (isPolling) stopPolling();
+    stopAssetOverview();
+    updateToggleButton();
+    if (window.WTPVisualizer) window.WTPVisualizer.clearData();
+
+    if (API_CONFIG.oidc.issuer) {
+        try {
+            const metadata = await getOidcMetadata();
+            if (metadata.end_session_endpoint) {
+                const url = new URL(metadata.end_session_endpoint);
+                if (idToken) url.searchParams.set('id_token_hint', idToken);
+                url.searchParams.set('client_id', API_CONFIG.oidc.clientId);
+                url.searchParams.set('post_logout_redirect_uri', window.location.href);
+                window.location.assign(url.toString());
+                return;
+            }
+        } catch (error) {
+            console.warn('Identity provider sign-out failed:', error.message);
+        }
+    }
+
+    showLoginModal('You have been signed out.');
+}
+
+/**
+ * Ensure user is authenticated: finish a sign-in callback, else take a token
+ * from ?auth= or the stored session. Also resolves assetId from URL query param.
+ */
+async function ensureAuthenticated() {
+    // Resolve assetId from URL, else the first plant of ?assets=
+    const urlAssetId = getAssetIdFromUrl() ?? API_CONFIG.assets[0]?.id;
+    if (urlAssetId) {
+        API_CONFIG.assetId = urlAssetId;
+        console.log(`Asset ID set to ${urlAssetId}`);
+    } else {
+        console.error('No assetId provided. Please add ?assetId=YOUR_ASSET_ID to the URL');
+        throw new Error('No assetId provided in URL');
+    }
+
+    if (await handleLoginCallback()) return;
+
+    // A token passed in the URL is taken over and removed from the address bar
+    const urlToken = getTokenFromUrl();
+    if (urlToken) {
+        console.log('Token found in URL parameter');
+        stripAuthParams();
+        setSession({ access_token: urlToken });
+        return;
+    }
+
+    if (loadStoredSession()) {
+        if (isExpired(session) && !(await refreshSession())) {
+            clearToken();
+        } else {
+            return;
+        }
+    }
+
+    // No token available
+    console.error('No authentication token found. Sign in or provide a token via ?auth=YOUR_TOKEN');
+    isAuthenticated = false;
+    throw new Error('No authentication token provided');
+}
+
+// ============================================================================
+// ROLES & PERMISSIONS
+// ============================================================================
+
+/**
+ * Features each role may use, lowest role first. A roles file can replace
+ * the lists with "permissions".
+ * - alarms.acknowledge: acknowledge and shelve alarms
+ * - commands:           operator commands (pumps, drives, modes)
+ * - simulation:         simulated and manual what-if data
+ * - thresholds:         alarm rule and threshold editing
+ * - inspect:            raw data (detail drawer, raw API responses)
+ */
+const ROLE_PERMISSIONS = {
+    viewer: [],
+    operator: ['alarms.acknowledge', 'commands', 'inspect'],
+    engineer: ['alarms.acknowledge', 'commands', 'simulation', 'thresholds', 'inspect']
+};
+
+// Token claims that may carry role names (Keycloak, Azure AD, Auth0-style)
+const ROLE_CLAIMS = ['roles', 'role', 'realm_access.roles', 'groups'];
+
+let rolesConfig = null;
+let currentRole = 'viewer';
+
+/**
+ * Load the roles file named by the plant profile (default roles.json).
+ * Without it every session gets the viewer role unless its token names one.
+ */
+async function loadRoles() {
+    try {
+        const response = await fetch(API_CONFIG.rolesUrl);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        rolesConfig = await response.json();
+        console.log(`Loaded roles from ${API_CONFIG.rolesUrl}`);
+    } catch (error) {
+        console.warn(`No roles file (${API_CONFIG.rolesUrl}: ${error.message}) - defaulting to viewer`);
+        rolesConfig = null;
+    }
+    updateRole();
+}
+
+function getRolePermissions() {
+    return { ...ROLE_PERMISSIONS, ...rolesConfig?.permissions };
+}
+
+/**
+ * Role of the current session: an entry for the user in the roles file wins,
+ * then the highest role named in the token claims, then the file's default
+ */
+function resolveRole() {
+    const permissions = getRolePermissions();
+    const ranking = Object.keys(permissions);
+    const toRole = (name) => {
+        const role = rolesConfig?.claimRoles?.[name] || name;
+        return permissions[role] ? role : null;
+    };
+
+    if (session) {
+        const claims = { ...decodeJwt(session.idToken || ''), ...decodeJwt(session.accessToken) };
+        const ids = [claims.sub, claims.preferred_username, claims.email, session.user].filter(Boolean);
+        const userRole = ids.map(id => rolesConfig?.users?.[id]).find(Boolean);
+        if (userRole && permissions[userRole]) return userRole;
+
+        const claimRoles = ROLE_CLAIMS
+            .flatMap(claim => [].concat(getByPath(claims, claim) ?? []))
+            .map(toRole)
+            .filter(Boolean);
+        if (claimRoles.length) {
+            return claimRoles.sort((a, b) => ranking.indexOf(b) - ranking.indexOf(a))[0];
+        }
+    }
+
+    return toRole(rolesConfig?.defaultRole) || 'viewer';
+}
+
+/**
+ * Re-resolve the role after sign-in, sign-out or a new roles file and let the UI follow
+ */
+function updateRole() {
+    const role = resolveRole();
+    if (role !== currentRole) console.log(`Role: ${role}`);
+    currentRole = role;
+    updateAuthIndicator();
+    if (window.WTPVisualizer) window.WTPVisualizer.applyPermissions();
+}
+
+function hasPermission(permission) {
+    return (getRolePermissions()[currentRole] || []).includes(permission);
+}
+
+/**
+ * Throw unless the current role has the permission
+ */
+function requirePermission(permission) {
+    if (!hasPermission(permission)) {
+        throw new Error(`Permission denied: "${permission}" is not allowed for role ${currentRole}`);
+    }
+}
+
+// ============================================================================
+// FIELD MAPPING SCHEMA
+// ============================================================================
+
+/**
+ * Default mapping from the GetAssetDevicesData response to the visualization format.
+ *
+ * Keys are dotted plantData paths (a numeric segment creates an array instance).
+ * Each field can define:
+ * - path:     Source key relative to `root`, or an absolute path starting with '$.'.
+ *             An array of paths is tried in order; the first one present wins.
+ * - fallback: plantData key to copy when no path is present (e.g. a second tank
+ *             sharing the first tank's sensor) - reported as shared
+ * - type:     'number' (default), 'boolean' or 'string'
+ * - unit:     Display unit
+ * - scale:    Multiplier applied to numbers (default 1)
+ * - offset:   Added after scaling (default 0)
+ * - default:  Value used when the source is missing (otherwise null)
+ * - required: A missing required field rejects the whole update
+ *
+ * Mapping files (?mapping=<url>, the profile's fieldMapping or <fieldMappingDir>/asset-<assetId>.json) are merged
+ * over these fields, unless they set "replace": true.
+ */
+const DEFAULT_FIELD_SCHEMA = {
+    root: 'data.waterTreatmentPlantComponentsData.0',
+    fields: {
+        'RWT.Level':                 { path: 'rwtLevel', unit: '%' },
+        'RWT.High_Level_Alarm':      { path: 'rwtLevelHighAlarm', type: 'boolean', default: false },
+        'RWT.Low_Level_Alarm':       { path: 'rwtLevelLowAlarm', type: 'boolean', default: false },
+        'RWT.Inflow_Rate':           { path: 'rwtInflowRate', unit: 'm³/h' },
+        'RWT.Outflow_Rate':          { path: 'rwtOutflowRate', unit: 'm³/h' },
+        'RWT.pH':                    { path: 'rwtph' },
+        'RWT.Turbidity':             { path: 'rwtTurbidity', unit: 'NTU' },
+
+        'CDP.Status':                { path: 'cdpStatus', type: 'boolean', default: false },
+        'CDP.Mode':                  { path: 'cdpMode', type: 'string' },
+        'CDP.Dosing_Rate':           { path: 'cdpDosingRate', unit: 'L/h' },
+        'CDP.Total_Chemical_Used':   { path: 'cdpTotalChemicalUsed', unit: 'L' },
+        'CDP.Pressure':              { path: 'cdpPressure', unit: 'bar' },
+        'CDP.Fault':                 { path: 'cdpFault', type: 'boolean', default: false },
+
+        'CST.Level':                 { path: 'cstLevel', unit: '%' },
+        'CST.Low_Level_Alarm':       { path: 'cstLowLevelAlarm', type: 'boolean', default: false },
+
+        'CFT.Level':                 { path: 'cftLevel', unit: '%' },
+        'CFT.Mixer_Status':          { path: 'cftMixerStatus', type: 'boolean', default: false },
+        'CFT.pH':                    { path: 'cftph' },
+        'CFT.Turbidity':             { path: 'cftTurbidity', unit: 'NTU' },
+        'CFT.Dosing_Rate':           { path: 'cftDosingRate', unit: 'L/h' },
+
+        // SCT: one set of fields per tank. Indexed API fields (sct2Level) or a second
+        // waterTreatmentPlantComponentsData entry are used when present; otherwise
+        // tank 2 shares tank 1's values and is reported as shared.
+        'SCT.0.Level':               { path: ['sct1Level', 'sctLevel'], unit: '%' },
+        'SCT.0.Sludge_Level':        { path: ['sct1SludgeLevel', 'sctSludgeLevel'], unit: '%' },
+        'SCT.0.Turbidity_Outlet':    { path: ['sct1TurbidityOutlet', 'sctTurbidityOutlet'], unit: 'NTU' },
+        'SCT.0.Scraper_Status':      { path: ['sct1ScraperStatus', 'sctScraperStatus'], type: 'boolean', default: false },
+        'SCT.1.Level':               { path: ['sct2Level', '$.data.waterTreatmentPlantComponentsData.1.sctLevel'], fallback: 'SCT.0.Level', unit: '%' },
+        'SCT.1.Sludge_Level':        { path: ['sct2SludgeLevel', '$.data.waterTreatmentPlantComponentsData.1.sctSludgeLevel'], fallback: 'SCT.0.Sludge_Level', unit: '%' },
+        'SCT.1.Turbidity_Outlet':    { path: ['sct2TurbidityOutlet', '$.data.waterTreatmentPlantComponentsData.1.sctTurbidityOutlet'], fallback: 'SCT.0.Turbidity_Outlet', unit: 'NTU' },
+        'SCT.1.Scraper_Status':      { path: ['sct2ScraperStatus', '$.data.waterTreatmentPlantComponentsData.1.sctScraperStatus'], type: 'boolean', fallback: 'SCT.0.Scraper_Status' },
+
+        'FTR.Differential_Pressure': { path: 'ftrDifferentialPressure', unit: 'bar' },
+        'FTR.Flow_Rate':             { path: 'ftrFlowRate', unit: 'm³/h' },
+        'FTR.Backwash_Status':       { path: 'ftrBackwashStatus', type: 'boolean', default: false },
+
+        // CWT: per tank, same rules as SCT
+        'CWT.0.Level':               { path: ['cwt1Level', 'cwtLevel'], unit: '%' },
+        'CWT.0.High_Level_Alarm':    { path: ['cwt1LevelHighAlarm', 'cwtLevelHighAlarm'], type: 'boolean', default: false },
+        'CWT.0.Low_Level_Alarm':     { path: ['cwt1LevelLowAlarm', 'cwtLevelLowAlarm'], type: 'boolean', default: false },
+        'CWT.0.pH':                  { path: ['cwt1ph', 'cwtph'] },
+        'CWT.0.Turbidity':           { path: ['cwt1Turbidity', 'cwtTurbidity'], unit: 'NTU' },
+        'CWT.0.Residual_Chlorine':   { path: ['cwt1ResidualChlorine', 'cwtResidualChlorine'], unit: 'mg/L' },
+        'CWT.1.Level':               { path: ['cwt2Level', '$.data.waterTreatmentPlantComponentsData.1.cwtLevel'], fallback: 'CWT.0.Level', unit: '%' },
+        'CWT.1.High_Level_Alarm':    { path: ['cwt2LevelHighAlarm', '$.data.waterTreatmentPlantComponentsData.1.cwtLevelHighAlarm'], type: 'boolean', fallback: 'CWT.0.High_Level_Alarm' },
+        'CWT.1.Low_Level_Alarm':     { path: ['cwt2LevelLowAlarm', '$.data.waterTreatmentPlantComponentsData.1.cwtLevelLowAlarm'], type: 'boolean', fallback: 'CWT.0.Low_Level_Alarm' },
+        'CWT.1.pH':                  { path: ['cwt2ph', '$.data.waterTreatmentPlantComponentsData.1.cwtph'], fallback: 'CWT.0.pH' },
+        'CWT.1.Turbidity':           { path: ['cwt2Turbidity', '$.data.waterTreatmentPlantComponentsData.1.cwtTurbidity'], fallback: 'CWT.0.Turbidity', unit: 'NTU' },
+        'CWT.1.Residual_Chlorine':   { path: ['cwt2ResidualChlorine', '$.data.waterTreatmentPlantComponentsData.1.cwtResidualChlorine'], fallback: 'CWT.0.Residual_Chlorine', unit: 'mg/L' },
+
+        'SLT.Level':                 { path: 'sltLevel', unit: '%' },
+        'SLT.Pump_Status':           { path: 'sltPumpStatus', type: 'boolean', default: false },
+
+        'PPS.Status':                { path: 'ppsPumpStatus', type: 'boolean', default: false },
+        'PPS.Mode':                  { path: 'ppsMode', type: 'string' },
+        'PPS.Flow_Rate':             { path: 'ppsFlowRate', unit: 'm³/h' },
+        'PPS.Outlet_Pressure':       { path: 'ppsOutletPressure', unit: 'bar' },
+        'PPS.Fault':                 { path: 'ppsFault', type: 'boolean', default: false },
+
+        'PLT.Total_Inflow':          { path: 'pltTotalInflow', unit: 'm³/h' },
+        'PLT.Total_Outflow':         { path: 'pltTotalOutflow', unit: 'm³/h' },
+        'PLT.System_Mode':           { path: 'pltSystemMode', type: 'string' },
+        'PLT.Alarm_Status':          { path: 'pltAlarmStatus', type: 'boolean', default: false }
+    }
+};
+
+// Schema in use for the current asset
+let fieldSchema = DEFAULT_FIELD_SCHEMA;
+
+// Which fields the last transformation could not fill from the source
+let mappingReport = { missing: [], defaulted: [], shared: [], missingRequired: [] };
+
+/**
+ * Fetch the mapping for an asset: ?mapping=<url> or the profile's fieldMapping, else
+ * <fieldMappingDir>/asset-<assetId>.json if the profile names a directory, else the built-in default schema
+ */
+async function fetchFieldSchema(assetId) {
+    const explicitUrl = API_CONFIG.fieldMappingUrl;
+    if (!explicitUrl && !API_CONFIG.fieldMappingDir) return DEFAULT_FIELD_SCHEMA;
+    const url = explicitUrl || `${API_CONFIG.fieldMappingDir}/asset-${assetId}.json`;
+
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        const schema = await response.json();
+        console.log(`Field mapping loaded from ${url}`);
+        return {
+            root: schema.root ?? DEFAULT_FIELD_SCHEMA.root,
+            fields: schema.replace ? schema.fields : { ...DEFAULT_FIELD_SCHEMA.fields, ...schema.fields }
+        };
+    } catch (error) {
+        if (explicitUrl) {
+            console.error(`Failed to load field mapping ${url}, using default mapping:`, error);
+        } else {
+            console.log(`No field mapping for asset ${assetId}, using default mapping`);
+        }
+        return DEFAULT_FIELD_SCHEMA;
+    }
+}
+
+/**
+ * Load the mapping for the active asset (reusing one the overview already fetched)
+ */
+async function loadFieldSchema(assetId) {
+    fieldSchema = assetSchemas.get(assetId) || await fetchFieldSchema(assetId);
+    assetSchemas.set(assetId, fieldSchema);
+    mappingReport = { missing: [], defaulted: [], shared: [], missingRequired: [] };
+    updateMappingIndicator();
+    return fieldSchema;
+}
+
+function getByPath(obj, path) {
+    return path.split('.').reduce((acc, key) => (acc === null || acc === undefined ? undefined : acc[key]), obj);
+}
+
+/**
+ * Set a dotted path, creating arrays for numeric segments ('SCT.1.Level')
+ */
+function setByPath(obj, path, value) {
+    const parts = path.split('.');
+    let target = obj;
+    parts.slice(0, -1).forEach((part, i) => {
+        if (target[part] === undefined) {
+            target[part] = /^\d+$/.test(parts[i + 1]) ? [] : {};
+        }
+        target = target[part];
+    });
+    target[parts[parts.length - 1]] = value;
+}
+
+/**
+ * Convert a raw source value to the field type. Returns undefined if it cannot be used.
+ */
+function convertFieldValue(raw, field) {
+    if (raw === undefined || raw === null || raw === '') return undefined;
+
+    switch (field.type || 'number') {
+        case 'boolean':
+            if (typeof raw === 'boolean') return raw;
+            if (typeof raw === 'number') return raw !== 0;
+            if (typeof raw === 'string') {
+                const text = raw.trim().toLowerCase();
+                if (['true', '1', 'on', 'yes'].includes(text)) return true;
+                if (['false', '0', 'off', 'no'].includes(text)) return false;
+            }
+            return undefined;
+        case 'string':
+            return String(raw);
+        default: {
+            const number = typeof raw === 'number' ? raw : parseFloat(raw);
+            if (!Number.isFinite(number)) return undefined;
+            return number * (field.scale ?? 1) + (field.offset ?? 0);
+        }
+    }
+}
+
+/**
+ * Transform API response to visualization format using the field mapping schema.
+ * Missing fields become their schema default or null - never a made-up value.
+ */
+function transformApiData(apiResponse, schema) {
+    // Without an explicit schema this is the active asset, which drives the mapping report
+    const isActiveAsset = !schema;
+    schema = schema || fieldSchema;
+    const source = getByPath(apiResponse, schema.root);
+
+    if (!source) {
+        console.warn('No water treatment plant data found in API response');
+        return null;
+    }
+
+    const result = {};
+    const report = { missing: [], defaulted: [], shared: [], missingRequired: [] };
+    const unresolved = [];
+
+    Object.entries(schema.fields).forEach(([key, field]) => {
+        const paths = Array.isArray(field.path) ? field.path : [field.path];
+        let value;
+        for (const path of paths) {
+            const raw = path.startsWith('$.')
+                ? getByPath(apiResponse, path.slice(2))
+                : getByPath(source, path);
+            value = convertFieldValue(raw, field);
+            if (value !== undefined) break;
+        }
+
+        if (value === undefined) {
+            unresolved.push([key, field]);
+            return;
+        }
+        setByPath(result, key, value);
+    });
+
+    // Second pass so fallbacks can point at any field regardless of order
+    unresolved.forEach(([key, field]) => {
+        let value;
+        if (field.fallback) {
+            const shared = getByPath(result, field.fallback);
+            if (shared !== undefined && shared !== null) {
+                value = shared;
+                report.shared.push(key);
+            }
+        }
+
+        if (value === undefined) {
+            if (field.required) report.missingRequired.push(key);
+            if (field.default !== undefined) {
+                value = field.default;
+                report.defaulted.push(key);
+            } else {
+                value = null;
+                report.missing.push(key);
+            }
+        }
+        setByPath(result, key, value);
+    });
+
+    // Only log when the set of unmapped fields changes, not on every poll
+    if (isActiveAsset) {
+        const summarize = (r) => [...r.missing, '|', ...r.defaulted, '|', ...r.shared].join(',');
+        if (summarize(report) !== summarize(mappingReport) && (report.missing.length || report.defaulted.length || report.shared.length)) {
+            console.warn(`Field mapping: ${report.missing.length} missing, ${report.defaulted.length} defaulted, ${report.shared.length} shared`, report);
+        }
+        mappingReport = report;
+        updateMappingIndicator();
+    }
+
+    if (report.missingRequired.length) {
+        throw new Error(`Missing required fields: ${report.missingRequired.join(', ')}`);
+    }
+
+    return result;
+}
+
+// ============================================================================
+// API FETCHING
+// ============================================================================
+
+/**
+ * Validate an API payload (HTTP response body or pushed message) and transform it
+ */
+function parseApiResponse(data, schema) {
+    if (!data.success) {
+        throw new Error(data.message || 'API returned unsuccessful response');
+    }
+
+    const transformedData = transformApiData(data, schema);
+
+    if (!transformedData) {
+        throw new Error('Failed to transform API data');
+    }
+
+    return transformedData;
+}
+
+function markDataReceived() {
+    connectionStatus = 'connected';
+    consecutiveErrors = 0;
+    lastFetchTime = new Date();
+    updateConnectionIndicator();
+    if (overviewActive) renderAssetOverview();
+}
+
+/**
+ * Hand transformed data to the visualizer - shared by every transport.
+ * observedAt is the earliest time the telemetry can have been read (request start for polls).
+ */
+function deliverPlantData(plantData, observedAt = Date.now()) {
+    confirmCommands(plantData, observedAt);
+    if (window.WTPVisualizer) {
+        window.WTPVisualizer.updatePlantData(plantData);
+    } else {
+        console.warn('WTPVisualizer not found');
+    }
+}
+
+/**
+ * Request the raw device data of any asset. Errors carry the HTTP status.
+ */
+async function fetchAssetData(assetId, { signal } = {}) {
+    if (!_baseUrl) {
+        throw new Error('No valid API base URL — invalid or missing ?mode= parameter');
+    }
+    const url = `${API_CONFIG.dataEndpoint}?assetId=${assetId}`;
+
+    const response = await fetch(url, {
+        method: 'GET',
+        headers: {
+            'Accept': '*/*',
+            'Authorization': `Bearer ${API_CONFIG.bearerToken}`
+        },
+        mode: 'cors',
+        signal
+    });
+
+    if (!response.ok) {
+        const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+        error.status = response.status;
+        throw error;
+    }
+
+    return response.json();
+}
+
+/**
+ * Fetch and transform the active asset's data. Returns null when the asset
+ * was switched or the request was cancelled while it was in flight.
+ */
+async function fetchPlantData(signal) {
+    const assetId = API_CONFIG.assetId;
+
+    try {
+        const data = await fetchAssetData(assetId, { signal });
+        renewedAfter401 = false;
+        if (assetId !== API_CONFIG.assetId) return null;
+
+        const transformedData = parseApiResponse(data);
+        markDataReceived();
+
+        return transformedData;
+
+    } catch (error) {
+        if (assetId !== API_CONFIG.assetId) return null;
+        // Stopped or superseded on purpose; a timeout aborts with a TimeoutError instead
+        if (signal?.aborted && signal.reason?.name !== 'TimeoutError') return null;
+
+        if (error.status === 401) {
+            // The next poll uses the renewed token - unless the API rejected a freshly renewed one
+            if (!renewedAfter401 && await refreshSession()) {
+                renewedAfter401 = true;
+                return null;
+            }
+            renewedAfter401 = false;
+
+            handleSessionExpired('Your session has expired or the token was rejected. Please sign in again.');
+            error = new Error('Authentication failed - invalid or expired token');
+        }
+
+        console.error('Error fetching plant data:', error);
+        consecutiveErrors++;
+
+        if (error.message.includes('Failed to fetch') || error.message.includes('NetworkError')) {
+            connectionStatus = 'disconnected';
+        } else {
+            connectionStatus = 'error';
+        }
+
+        updateConnectionIndicator();
+
+        throw error;
+    }
+}
+
+// ============================================================================
+// POLLING CONTROL
+// ============================================================================
+
+/**
+ * Start live data using the selected transport (polling, WebSocket or SSE)
+ */
+function startPolling() {
+    if (isPolling) {
+        console.log('Polling already active');
+        return;
+    }
+    // Live and simulated payloads must not interleave; stopSimulation() resumes live data
+    if (window.WTPVisualizer?.isSimulating()) {
+        console.warn('Live data cannot start while a simulation is running');
+        return;
+    }
+
+    isPolling = true;
+
+    if (API_CONFIG.transport === 'poll') {
+        startHttpPolling();
+    } else if (API_CONFIG.transport === 'mqtt') {
+        pushRetries = 0;
+        openMqttTransport();
+    } else {
+        pushRetries = 0;
+        openPushTransport(API_CONFIG.transport);
+    }
+
+    updateConnectionIndicator();
+}
+
+function stopPolling() {
+    if (!isPolling) {
+        console.log('Polling not active');
+        return;
+    }
+
+    console.log('Stopping live data');
+    isPolling = false;
+
+    stopHttpPolling();
+    closePushTransport();
+    activeTransport = null;
+
+    connectionStatus = 'disconnected';
+    updateConnectionIndicator();
+}
+
+function togglePolling() {
+    if (isPolling) {
+        stopPolling();
+    } else {
+        startPolling();
+    }
+}
+
+function startHttpPolling() {
+    console.log(`Starting WTP API polling every ${API_CONFIG.pollingInterval}ms`);
+    activeTransport = 'poll';
+    scheduleNextPoll(0, 'waiting');
+}
+
+function stopHttpPolling() {
+    clearTimeout(pollTimerId);
+    pollTimerId = null;
+    nextPollAt = null;
+    if (pollController) pollController.abort();
+    pollController = null;
+    pollState = 'idle';
+}
+
+// ============================================================================
+// POLL SCHEDULER
+// ============================================================================
+
+/**
+ * Run the next poll after delay. Polls are chained with setTimeout, so a slow
+ * response delays the next request instead of overlapping with it.
+ */
+function scheduleNextPoll(delay, state) {
+    clearTimeout(pollTimerId);
+    pollState = state;
+    nextPollAt = Date.now() + delay;
+    pollTimerId = setTimeout(runPoll, delay);
+    updateConnectionIndicator();
+}
+
+/**
+ * Backoff before retry number attempt: retryDelay doubled per failure, capped
+ * at maxRetryDelay, with jitter so many clients do not retry in lockstep
+ */
+function getRetryDelay(attempt) {
+    const delay = Math.min(API_CONFIG.retryDelay * 2 ** (attempt - 1), API_CONFIG.maxRetryDelay);
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+async function runPoll() {
+    pollTimerId = null;
+    if (!isPolling || activeTransport !== 'poll') return;
+
+    // The 'online' event resumes polling
+    if (!navigator.onLine) {
+        pollState = 'offline';
+        nextPollAt = null;
+        connectionStatus = 'disconnected';
+        updateConnectionIndicator();
+        return;
+    }
+
+    const sequence = ++pollSequence;
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => {
+        controller.abort(new DOMException(`No response within ${API_CONFIG.requestTimeout}ms`, 'TimeoutError'));
+    }, API_CONFIG.requestTimeout);
+    const startedAt = Date.now();
+
+    pollController = controller;
+    pollState = 'fetching';
+    nextPollAt = null;
+
+    let failed = false;
+    try {
+        const plantData = await fetchPlantData(controller.signal);
+        if (plantData) {
+            if (sequence > lastAppliedSequence) {
+                lastAppliedSequence = sequence;
+                deliverPlantData(plantData, startedAt);
+            } else {
+                console.warn(`Discarding out-of-order response #${sequence} (already showing #${lastAppliedSequence})`);
+            }
+        }
+    } catch (error) {
+        console.error('Failed to fetch and update:', error);
+        failed = true;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+
+    // Stopped, or superseded by a resumed poll, while this one was in flight
+    if (controller !== pollController) return;
+    pollController = null;
+    if (!isPolling || activeTransport !== 'poll') return;
+
+    if (failed) {
+        const delay = getRetryDelay(consecutiveErrors);
+        console.log(`Retrying in ${delay}ms (attempt ${consecutiveErrors + 1})`);
+        scheduleNextPoll(delay, 'backoff');
+    } else {
+        scheduleNextPoll(Math.max(0, API_CONFIG.pollingInterval - (Date.now() - startedAt)), 'waiting');
+    }
+}
+
+/**
+ * Poll right away instead of waiting out the timer (or a long backoff), e.g.
+ * when the network comes back or the tab is shown again
+ */
+function resumePolling(reason) {
+    if (!isPolling || activeTransport !== 'poll' || pollState === 'fetching') return;
+    console.log(`Resuming polling: ${reason}`);
+    scheduleNextPoll(0, 'waiting');
+}
+
+window.addEventListener('online', () => resumePolling('back online'));
+
+window.addEventListener('offline', () => {
+    if (!isPolling || activeTransport !== 'poll') return;
+    console.warn('Network offline - polling paused');
+    if (pollController) pollController.abort();
+    pollController = null;
+    clearTimeout(pollTimerId);
+    pollTimerId = null;
+    pollState = 'offline';
+    nextPollAt = null;
+    connectionStatus = 'disconnected';
+    updateConnectionIndicator();
+});
+
+// Background tabs get their timers throttled; catch up as soon as the tab is visible
+document.addEventListener('visibilitychange', () => {
+    if (!document.hidden) resumePolling('tab visible');
+});
+
+/**
+ * Scheduler state for the connection indicator
+ */
+function getPollStatus() {
+    return {
+        state: pollState,
+        failures: consecutiveErrors,
+        nextPollAt,
+        sequence: pollSequence
+    };
+}
+
+// ============================================================================
+// PUSH TRANSPORTS (WebSocket / SSE)
+// ============================================================================
+
+/**
+ * Build the push endpoint URL. Browsers cannot send an Authorization header
+ * with WebSocket or EventSource, so the token goes in the query string.
+ */
+function getPushUrl(transport) {
+    const base = API_CONFIG.streamUrl ||
+        _baseUrl + (transport === 'ws' ? API_PATHS.socket : API_PATHS.stream);
+    const url = new URL(base, window.location.href);
+
+    if (transport === 'ws') {
+        url.protocol = url.protocol === 'https:' ? 'wss:' : url.protocol === 'http:' ? 'ws:' : url.protocol;
+    }
+    url.searchParams.set('assetId', API_CONFIG.assetId);
+    if (API_CONFIG.bearerToken) {
+        url.searchParams.set('access_token', API_CONFIG.bearerToken);
+    }
+    return url.toString();
+}
+
+function openPushTransport(transport) {
+    closePushTransport();
+    activeTransport = transport;
+
+    let url;
+    try {
+        url = getPushUrl(transport);
+    } catch (error) {
+        console.error('Invalid push endpoint:', error);
+        fallbackToPolling();
+        return;
+    }
+
+    console.log(`Connecting ${TRANSPORT_LABELS[transport]} live data`);
+
+    try {
+        pushSource = transport === 'ws' ? new WebSocket(url) : new EventSource(url);
+    } catch (error) {
+        console.error(`Failed to open ${TRANSPORT_LABELS[transport]}:`, error);
+        handlePushFailure(transport);
+        return;
+    }
+
+    const source = pushSource;
+
+    // A transport that never opens (blocked by a proxy, wrong URL) counts as a failure
+    pushOpenTimer = setTimeout(() => {
+        if (source === pushSource) {
+            console.warn(`${TRANSPORT_LABELS[transport]} did not open within ${API_CONFIG.pushConnectTimeout}ms`);
+            handlePushFailure(transport);
+        }
+    }, API_CONFIG.pushConnectTimeout);
+
+    // pushRetries is only reset once data arrives, so a connection that opens
+    // and drops straight away still counts towards the fallback to polling
+    source.onopen = () => {
+        console.log(`${TRANSPORT_LABELS[transport]} connected`);
+        clearTimeout(pushOpenTimer);
+    };
+
+    source.onmessage = (event) => handlePushMessage(event.data);
+
+    source.onerror = (error) => {
+        console.error(`${TRANSPORT_LABELS[transport]} error:`, error);
+        // EventSource reconnects by itself unless it closed for good
+        if (transport === 'sse' && source.readyState !== EventSource.CLOSED) {
+            connectionStatus = 'error';
+            updateConnectionIndicator();
+            // handlePushFailure() counts the attempt that gives up
+            if (pushRetries + 1 >= API_CONFIG.maxRetries) handlePushFailure(transport);
+            else pushRetries++;
+            return;
+        }
+        if (transport === 'sse') handlePushFailure(transport);
+    };
+
+    if (transport === 'ws') {
+        source.onclose = (event) => {
+            if (source !== pushSource) return;  // Closed on purpose
+            console.warn(`WebSocket closed (code ${event.code})`);
+            handlePushFailure(transport);
+        };
+    }
+}
+
+function handlePushMessage(raw) {
+    try {
+        const plantData = parseApiResponse(JSON.parse(raw));
+        pushRetries = 0;
+        markDataReceived();
+        deliverPlantData(plantData);
+    } catch (error) {
+        console.error('Invalid live data message:', error);
+        consecutiveErrors++;
+        connectionStatus = 'error';
+        updateConnectionIndicator();
+    }
+}
+
+/**
+ * Reconnect after retryDelay, or fall back to polling after maxRetries failures
+ */
+function handlePushFailure(transport) {
+    closePushTransport();
+    if (!isPolling) return;
+
+    pushRetries++;
+    connectionStatus = 'disconnected';
+    updateConnectionIndicator();
+
+    if (pushRetries >= API_CONFIG.maxRetries) {
+        fallbackToPolling();
+        return;
+    }
+
+    console.log(`Reconnecting ${TRANSPORT_LABELS[transport]} in ${API_CONFIG.retryDelay}ms (attempt ${pushRetries + 1})`);
+    pushReconnectTimer = setTimeout(() => {
+        if (isPolling) openPushTransport(transport);
+    }, API_CONFIG.retryDelay);
+}
+
+function fallbackToPolling() {
+    if (!_baseUrl) {
+        console.error(`${TRANSPORT_LABELS[API_CONFIG.transport]} unavailable and no ?mode= API to fall back to`);
+        connectionStatus = 'error';
+        updateConnectionIndicator();
+        return;
+    }
+    console.warn(`${TRANSPORT_LABELS[API_CONFIG.transport]} unavailable - falling back to HTTP polling`);
+    closePushTransport();
+    if (isPolling) startHttpPolling();
+    updateConnectionIndicator();
+}
+
+function closePushTransport() {
+    clearTimeout(pushOpenTimer);
+    clearTimeout(pushReconnectTimer);
+    pushOpenTimer = null;
+    pushReconnectTimer = null;
+
+    if (pushSource) {
+        const source = pushSource;
+        pushSource = null;
+        source.close();
+    }
+
+    clearTimeout(mqttFlushTimer);
+    mqttFlushTimer = null;
+    if (mqttClient) {
+        const client = mqttClient;
+        mqttClient = null;
+        client.end(true);
+    }
+}
+
+// ============================================================================
+// MQTT TRANSPORT
+// ============================================================================
+
+function loadMqttLibrary() {
+    if (window.mqtt) return Promise.resolve(window.mqtt);
+    if (mqttLibraryPromise) return mqttLibraryPromise;
+
+    mqttLibraryPromise = new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = MQTT_LIBRARY_URL;
+        script.onload = () => resolve(window.mqtt);
+        script.onerror = () => {
+            mqttLibraryPromise = null;
+            reject(new Error(`Failed to load MQTT library from ${MQTT_LIBRARY_URL}`));
+        };
+        document.head.appendChild(script);
+    });
+    return mqttLibraryPromise;
+}
+
+async function loadMqttMapping() {
+    const response = await fetch(API_CONFIG.mqttMappingUrl);
+    if (!response.ok) {
+        throw new Error(`Failed to load MQTT mapping ${API_CONFIG.mqttMappingUrl}: HTTP ${response.status}`);
+    }
+    const mapping = await response.json();
+    if (!mapping.fields || typeof mapping.fields !== 'object') {
+        throw new Error('MQTT mapping has no "fields" object');
+    }
+    return mapping;
+}
+
+/**
+ * Connect to the broker and subscribe to every mapped topic. Incoming values are
+ * stored under their API field names, so transformApiData() produces exactly
+ * the same structure as the REST API.
+ */
+async function openMqttTransport() {
+    closePushTransport();
+    activeTransport = 'mqtt';
+
+    let mapping;
+    try {
+        [mapping] = await Promise.all([loadMqttMapping(), loadMqttLibrary()]);
+    } catch (error) {
+        console.error('MQTT transport unavailable:', error);
+        connectionStatus = 'error';
+        updateConnectionIndicator();
+        fallbackToPolling();
+        return;
+    }
+
+    // Stopped while the mapping/library were loading
+    if (!isPolling || activeTransport !== 'mqtt') return;
+
+    const brokerUrl = API_CONFIG.mqttBroker || mapping.broker;
+    const prefix = (mapping.topicPrefix || '').replace('{assetId}', API_CONFIG.assetId ?? '');
+    mqttValues = {};
+
+    console.log(`Connecting to MQTT broker ${brokerUrl} (topics ${prefix}#)`);
+
+    const client = window.mqtt.connect(brokerUrl, {
+        clientId: `wtp-visualizer-${Math.random().toString(16).slice(2, 10)}`,
+        username: mapping.username,
+        // Gateways behind the same identity provider can accept the bearer token as password
+        password: mapping.useBearerToken ? API_CONFIG.bearerToken : mapping.password,
+        reconnectPeriod: API_CONFIG.retryDelay,
+        connectTimeout: API_CONFIG.pushConnectTimeout
+    });
+    mqttClient = client;
+
+    client.on('connect', () => {
+        console.log('MQTT connected');
+        client.subscribe(`${prefix}#`, { qos: mapping.qos ?? 0 }, (error) => {
+            if (error) console.error('MQTT subscribe failed:', error);
+        });
+    });
+
+    client.on('message', (topic, payload) => {
+        if (!topic.startsWith(prefix)) return;
+        handleMqttMessage(mapping, topic.slice(prefix.length), payload.toString());
+    });
+
+    client.on('error', (error) => {
+        console.error('MQTT error:', error);
+        connectionStatus = 'error';
+        updateConnectionIndicator();
+    });
+
+    client.on('close', () => {
+        if (client !== mqttClient) return;  // Closed on purpose
+        connectionStatus = 'disconnected';
+        updateConnectionIndicator();
+
+        // mqtt.js reconnects by itself; only give up when there is an API to fall back to
+        if (++pushRetries >= API_CONFIG.maxRetries && _baseUrl) {
+            fallbackToPolling();
+        }
+    });
+}
+
+/**
+ * Parse an MQTT payload: JSON values (numbers, booleans, objects) or plain strings
+ */
+function parseMqttPayload(text) {
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return text;
+    }
+}
+
+function handleMqttMessage(mapping, topic, text) {
+    const target = mapping.fields[topic];
+    if (!target) return;
+
+    const payload = parseMqttPayload(text);
+
+    if (target === '*') {
+        // Whole object of API fields published on one topic (e.g. from Node-RED)
+        if (payload && typeof payload === 'object') Object.assign(mqttValues, payload);
+    } else {
+        // Gateways often wrap values as { value, timestamp }
+        mqttValues[target] = payload && typeof payload === 'object' && 'value' in payload ? payload.value : payload;
+    }
+
+    // Tags arrive one message each - coalesce bursts into a single update
+    if (!mqttFlushTimer) {
+        mqttFlushTimer = setTimeout(flushMqttValues, mapping.publishDelay ?? 250);
+    }
+}
+
+function flushMqttValues() {
+    mqttFlushTimer = null;
+    try {
+        const plantData = parseApiResponse({
+            success: true,
+            data: { waterTreatmentPlantComponentsData: [{ ...mqttValues }] }
+        });
+        pushRetries = 0;
+        markDataReceived();
+        deliverPlantData(plantData);
+    } catch (error) {
+        console.error('Failed to apply MQTT values:', error);
+    }
+}
 
 // ============================================================================
-// AUTHENTICATION
+// ASSET SWITCHING
 // ============================================================================
 
 /**
- * Load token from localStorage
+ * Make sure the active asset is listed in the picker and overview
  */
-function loadStoredToken() {
-    const token = localStorage.getItem(API_CONFIG.storageKey);
-    if (token) {
-        API_CONFIG.bearerToken = token;
-        isAuthenticated = true;
-        console.log('Loaded stored bearer token');
-        return true;
+function ensureAssetListed(assetId) {
+    if (assetId && !API_CONFIG.assets.some(asset => asset.id === assetId)) {
+        API_CONFIG.assets.unshift({ id: assetId, name: `Asset ${assetId}` });
     }
-    return false;
 }
 
 /**
- * Get token from URL parameter
+ * Switch the active asset without reloading the page: stop live data, reset the
+ * visualizer, load the asset's field mapping and restart the transport if it was running
  */
-function getTokenFromUrl() {
-    const urlParams = new URLSearchParams(window.location.search);
-    return urlParams.get('auth');
+async function switchAsset(assetId) {
+    assetId = Number(assetId);
+    if (!Number.isFinite(assetId) || assetId <= 0 || assetId === API_CONFIG.assetId) return;
+
+    console.log(`Switching to asset ${assetId}`);
+    const wasRunning = isPolling;
+    // The overview keeps showing the plant we leave until its next poll
+    if (API_CONFIG.assetId) overviewStatus[API_CONFIG.assetId] = getActiveAssetHealth();
+    if (wasRunning) stopPolling();
+
+    API_CONFIG.assetId = assetId;
+    ensureAssetListed(assetId);
+    lastFetchTime = null;
+    consecutiveErrors = 0;
+
+    // Keep ?assetId= in sync so a reload or shared link opens the same plant
+    const url = new URL(window.location.href);
+    url.searchParams.set('assetId', assetId);
+    window.history.replaceState(null, '', url);
+
+    if (window.WTPVisualizer) window.WTPVisualizer.resetPlantData();
+    updateAssetPicker();
+    renderAssetOverview();
+
+    const lastUpdate = document.getElementById('api-last-update');
+    if (lastUpdate) lastUpdate.textContent = 'Never';
+
+    await loadFieldSchema(assetId);
+
+    // Switched again while the mapping was loading
+    if (API_CONFIG.assetId !== assetId) return;
+
+    if (wasRunning) startPolling();
 }
 
+// ============================================================================
+// ASSET OVERVIEW
+// ============================================================================
+
 /**
- * Get assetId from URL query parameter (?assetId=...)
+ * Health of the active asset, taken from the live connection and alarm panel
+ * instead of a second request
  */
-function getAssetIdFromUrl() {
-    const urlParams = new URLSearchParams(window.location.search);
-    const id = urlParams.get('assetId');
-    return id ? Number(id) : null;
+function getActiveAssetHealth() {
+    if (!isPolling || connectionStatus !== 'connected') {
+        return { state: isPolling ? connectionStatus : 'idle', alarms: [], updatedAt: lastFetchTime };
+    }
+    const alarms = window.WTPVisualizer ? window.WTPVisualizer.getAlarmSummary() : [];
+    return { state: alarms.length ? 'alarm' : 'ok', alarms, updatedAt: lastFetchTime };
 }
 
 /**
- * Clear stored token (logout)
+ * Fetch one asset's data, aborted after requestTimeout. A 401 renews the
+ * session once and retries.
  */
-function clearToken() {
-    API_CONFIG.bearerToken = null;
-    localStorage.removeItem(API_CONFIG.storageKey);
-    isAuthenticated = false;
-    console.log('Token cleared');
+async function fetchOverviewAsset(assetId, renewed = false) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => {
+        controller.abort(new DOMException(`No response within ${API_CONFIG.requestTimeout}ms`, 'TimeoutError'));
+    }, API_CONFIG.requestTimeout);
+    overviewController = controller;
+
+    try {
+        return await fetchAssetData(assetId, { signal: controller.signal });
+    } catch (error) {
+        if (error.status === 401 && !renewed && overviewActive && await refreshSession()) {
+            return fetchOverviewAsset(assetId, true);
+        }
+        throw error;
+    } finally {
+        clearTimeout(timeoutId);
+        if (overviewController === controller) overviewController = null;
+    }
 }
 
 /**
- * Ensure user is authenticated, get token from URL or localStorage.
- * Also resolves assetId from URL query param.
+ * Fetch every other asset once and check it against the alarm rules.
+ * A pass already in progress is shared instead of starting a second one.
  */
-async function ensureAuthenticated() {
-    // Resolve assetId from URL
-    const urlAssetId = getAssetIdFromUrl();
-    if (urlAssetId) {
-        API_CONFIG.assetId = urlAssetId;
-        console.log(`Asset ID set from URL: ${urlAssetId}`);
-    } else {
-        console.error('No assetId provided. Please add ?assetId=YOUR_ASSET_ID to the URL');
-        throw new Error('No assetId provided in URL');
+function pollAssetOverview() {
+    if (!overviewPromise) {
+        overviewPromise = runAssetOverviewPass().finally(() => { overviewPromise = null; });
     }
+    return overviewPromise;
+}
 
-    // First, try to get token from URL parameter
-    const urlToken = getTokenFromUrl();
-    if (urlToken) {
-        console.log('Token found in URL parameter');
-        API_CONFIG.bearerToken = urlToken;
-        localStorage.setItem(API_CONFIG.storageKey, urlToken);
-        isAuthenticated = true;
-        return;
-    }
+async function runAssetOverviewPass() {
+    const others = API_CONFIG.assets.filter(asset => asset.id !== API_CONFIG.assetId);
 
-    // Try to load stored token from localStorage
-    if (loadStoredToken()) {
-        return;
+    // One request at a time - the overview should never burst the API
+    for (const asset of others) {
+        if (!overviewActive) return;
+        try {
+            if (!assetSchemas.has(asset.id)) {
+                assetSchemas.set(asset.id, await fetchFieldSchema(asset.id));
+            }
+            const data = parseApiResponse(await fetchOverviewAsset(asset.id), assetSchemas.get(asset.id));
+            const alarms = window.WTPVisualizer ? window.WTPVisualizer.checkAlarmConditions(data) : [];
+            overviewStatus[asset.id] = { state: alarms.length ? 'alarm' : 'ok', alarms, updatedAt: new Date() };
+        } catch (error) {
+            // Stopped (sign-out, session expiry) - keep the last known states
+            if (error.name === 'AbortError') return;
+            const offline = error.message.includes('Failed to fetch') || error.message.includes('NetworkError');
+            overviewStatus[asset.id] = {
+                state: offline ? 'disconnected' : 'error',
+                alarms: [],
+                error: error.message,
+                updatedAt: overviewStatus[asset.id]?.updatedAt || null
+            };
+        }
     }
 
-    // No token available
-    console.error('No authentication token found. Please provide token via URL parameter: ?auth=YOUR_TOKEN');
-    isAuthenticated = false;
-    throw new Error('No authentication token provided');
+    renderAssetOverview();
 }
 
-// ============================================================================
-// DATA TRANSFORMATION
-// ============================================================================
-
 /**
- * Transform API response to visualization format
+ * Poll the other assets every overviewInterval. Passes are chained with
+ * setTimeout, so a slow asset delays the next pass instead of overlapping it.
  */
-function transformApiData(apiResponse) {
-    const wtpData = apiResponse?.data?.waterTreatmentPlantComponentsData?.[0];
-
-    if (!wtpData) {
-        console.warn('No water treatment plant data found in API response');
-        return null;
-    }
+function startAssetOverview() {
+    if (overviewActive || API_CONFIG.assets.length < 2 || !_baseUrl) return;
 
-    return {
-        RWT: {
-            Level: wtpData.rwtLevel || 0,
-            High_Level_Alarm: wtpData.rwtLevelHighAlarm || false,
-            Low_Level_Alarm: wtpData.rwtLevelLowAlarm || false,
-            Inflow_Rate: wtpData.rwtInflowRate || 0,
-            Outflow_Rate: wtpData.rwtOutflowRate || 0,
-            pH: parseFloat(wtpData.rwtph) || 7.0,
-            Turbidity: wtpData.rwtTurbidity || 0
-        },
-        CDP: {
-            Status: wtpData.cdpStatus || false,
-            Mode: wtpData.cdpMode || 'AUTO',
-            Dosing_Rate: wtpData.cdpDosingRate || 0,
-            Total_Chemical_Used: wtpData.cdpTotalChemicalUsed || 0,
-            Pressure: wtpData.cdpPressure || 0,
-            Fault: wtpData.cdpFault || false
-        },
-        CST: {
-            Level: wtpData.cstLevel || 0,
-            Low_Level_Alarm: wtpData.cstLowLevelAlarm || false
-        },
-        CFT: {
-            Level: wtpData.cftLevel || 0,
-            Mixer_Status: wtpData.cftMixerStatus || false,
-            pH: parseFloat(wtpData.cftph) || 7.0,
-            Turbidity: wtpData.cftTurbidity || 0,
-            Dosing_Rate: wtpData.cftDosingRate || 0
-        },
-        // SCT: Single tank values (API provides single value, visualization has 2 tanks)
-        // Both tanks use the same API value
-        SCT: [
-            {
-                Level: wtpData.sctLevel || 0,
-                Sludge_Level: wtpData.sctSludgeLevel || 0,
-                Turbidity_Outlet: wtpData.sctTurbidityOutlet || 0,
-                Scraper_Status: wtpData.sctScraperStatus || false
-            },
-            {
-                Level: wtpData.sctLevel || 0,
-                Sludge_Level: wtpData.sctSludgeLevel || 0,
-                Turbidity_Outlet: wtpData.sctTurbidityOutlet || 0,
-                Scraper_Status: wtpData.sctScraperStatus || false
-            }
-        ],
-        FTR: {
-            Differential_Pressure: wtpData.ftrDifferentialPressure || 0,
-            Flow_Rate: wtpData.ftrFlowRate || 0,
-            Backwash_Status: wtpData.ftrBackwashStatus || false
-        },
-        // CWT: Single tank values (API provides single value, visualization has 2 tanks)
-        // Both tanks use the same API value
-        CWT: [
-            {
-                Level: wtpData.cwtLevel || 0,
-                High_Level_Alarm: wtpData.cwtLevelHighAlarm || false,
-                Low_Level_Alarm: wtpData.cwtLevelLowAlarm || false,
-                pH: parseFloat(wtpData.cwtph) || 7.0,
-                Turbidity: wtpData.cwtTurbidity || 0,
-                Residual_Chlorine: wtpData.cwtResidualChlorine || 0
-            },
-            {
-                Level: wtpData.cwtLevel || 0,
-                High_Level_Alarm: wtpData.cwtLevelHighAlarm || false,
-                Low_Level_Alarm: wtpData.cwtLevelLowAlarm || false,
-                pH: parseFloat(wtpData.cwtph) || 7.0,
-                Turbidity: wtpData.cwtTurbidity || 0,
-                Residual_Chlorine: wtpData.cwtResidualChlorine || 0
-            }
-        ],
-        SLT: {
-            Level: wtpData.sltLevel || 0,
-            Pump_Status: wtpData.sltPumpStatus || false
-        },
-        PPS: {
-            Status: wtpData.ppsPumpStatus || false,
-            Mode: wtpData.ppsMode || 'AUTO',
-            Flow_Rate: wtpData.ppsFlowRate || 0,
-            Outlet_Pressure: wtpData.ppsOutletPressure || 0,
-            Fault: wtpData.ppsFault || false
-        },
-        PLT: {
-            Total_Inflow: wtpData.pltTotalInflow || 0,
-            Total_Outflow: wtpData.pltTotalOutflow || 0,
-            System_Mode: wtpData.pltSystemMode || 'AUTO',
-            Alarm_Status: wtpData.pltAlarmStatus || false
-        }
-    };
+    overviewActive = true;
+    runAssetOverview();
 }
 
-// ============================================================================
-// API FETCHING
-// ============================================================================
-
-async function fetchPlantData() {
-    if (!_baseUrl) {
-        throw new Error('No valid API base URL — invalid or missing ?mode= parameter');
+async function runAssetOverview() {
+    overviewTimerId = null;
+    await pollAssetOverview();
+    if (overviewActive && !overviewTimerId) {
+        overviewTimerId = setTimeout(runAssetOverview, API_CONFIG.overviewInterval);
     }
-    const url = `${API_CONFIG.dataEndpoint}?assetId=${API_CONFIG.assetId}`;
-
-    try {
-        const response = await fetch(url, {
-            method: 'GET',
-            headers: {
-                'Accept': '*/*',
-                'Authorization': `Bearer ${API_CONFIG.bearerToken}`
-            },
-            mode: 'cors'
-        });
+}
 
-        if (!response.ok) {
-            if (response.status === 401) {
-                console.error('Authentication failed - token is invalid or expired');
-                console.error('Please reload the page with a valid token: ?auth=YOUR_TOKEN');
-                clearToken();
-                stopPolling();
-
-                const dataSource = document.getElementById('data-source');
-                if (dataSource) {
-                    dataSource.textContent = 'Data: Invalid Token';
-                    dataSource.style.color = '#ff5252';
-                }
-
-                throw new Error('Authentication failed - invalid or expired token');
-            }
+function stopAssetOverview() {
+    overviewActive = false;
+    clearTimeout(overviewTimerId);
+    overviewTimerId = null;
+    if (overviewController) overviewController.abort();
+    overviewController = null;
+}
 
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
+const OVERVIEW_BADGES = {
+    ok: { text: 'OK', color: '#69f0ae' },
+    alarm: { text: 'ALARM', color: '#ff5252' },
+    disconnected: { text: 'OFFLINE', color: '#616161' },
+    error: { text: 'ERROR', color: '#ff5252' },
+    idle: { text: 'STOPPED', color: '#616161' },
+    pending: { text: '...', color: '#616161' }
+};
 
-        const data = await response.json();
+function formatTimeAgo(date) {
+    if (!date) return 'never';
+    const seconds = Math.floor((Date.now() - date.getTime()) / 1000);
+    return seconds < 60 ? `${seconds}s ago` : `${Math.floor(seconds / 60)}m ago`;
+}
 
-        if (!data.success) {
-            throw new Error(data.message || 'API returned unsuccessful response');
-        }
+/**
+ * Draw one card per asset and the alarm count on the Plants button
+ */
+function renderAssetOverview() {
+    const grid = document.getElementById('asset-overview-grid');
+    const button = document.getElementById('api-overview-btn');
+    let alarmingPlants = 0;
+
+    const cards = API_CONFIG.assets.map(asset => {
+        const isActive = asset.id === API_CONFIG.assetId;
+        const health = isActive ? getActiveAssetHealth() : (overviewStatus[asset.id] || { state: 'pending', alarms: [] });
+        if (health.state === 'alarm') alarmingPlants++;
+
+        const badge = OVERVIEW_BADGES[health.state] || OVERVIEW_BADGES.error;
+        const color = health.state === 'alarm' ? (health.alarms[0]?.color || badge.color) : badge.color;
+        const text = health.state === 'alarm' ? `${health.alarms.length} ${badge.text}${health.alarms.length > 1 ? 'S' : ''}` : badge.text;
+        const title = health.error || health.alarms.map(alarm => alarm.name).join('\n');
+
+        return `
+            <div class="asset-card" data-asset-id="${asset.id}" title="${escapeHtml(title)}" style="
+                background: rgba(255, 255, 255, 0.05);
+                border: 1px solid ${isActive ? '#4fc3f7' : 'rgba(255, 255, 255, 0.1)'};
+                border-radius: 6px;
+                padding: 8px;
+                cursor: ${isActive ? 'default' : 'pointer'};
+            ">
+                <div style="color: #fff; font-weight: bold; font-size: 12px;">${escapeHtml(asset.name)}</div>
+                <div style="color: #888; font-size: 10px; margin-bottom: 6px;">#${asset.id}${isActive ? ' · viewing' : ''}</div>
+                <span style="background: ${color}; color: #000; padding: 2px 6px; border-radius: 3px; font-size: 10px; font-weight: bold;">${text}</span>
+                <div style="color: #888; font-size: 10px; margin-top: 4px;">${formatTimeAgo(health.updatedAt)}</div>
+            </div>`;
+    });
+
+    if (grid) grid.innerHTML = cards.join('');
+
+    if (button) {
+        button.textContent = alarmingPlants ? `Plants (${alarmingPlants}⚠)` : 'Plants';
+        button.style.background = alarmingPlants ? '#ff5252' : '#4fc3f7';
+    }
+}
 
-        const transformedData = transformApiData(data);
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+}
 
-        if (!transformedData) {
-            throw new Error('Failed to transform API data');
-        }
+function toggleAssetOverview(show) {
+    const panel = document.getElementById('asset-overview');
+    if (!panel) return;
 
-        connectionStatus = 'connected';
-        consecutiveErrors = 0;
-        lastFetchTime = new Date();
-        updateConnectionIndicator();
+    const visible = show ?? panel.style.display === 'none';
+    panel.style.display = visible ? 'block' : 'none';
+    if (visible) renderAssetOverview();
+}
 
-        return transformedData;
+// ============================================================================
+// OPERATOR COMMANDS
+// ============================================================================
 
-    } catch (error) {
-        console.error('Error fetching plant data:', error);
-        consecutiveErrors++;
+/**
+ * Commands offered per component. A command is confirmed once the telemetry
+ * field `field` (relative to the component or tank instance) reads `value`.
+ */
+const COMMAND_CATALOG = {
+    CDP: [
+        { key: 'start', label: 'Start Pump', field: 'Status', value: true },
+        { key: 'stop', label: 'Stop Pump', field: 'Status', value: false },
+        { key: 'auto', label: 'Switch to AUTO', field: 'Mode', value: 'AUTO' },
+        { key: 'manual', label: 'Switch to MANUAL', field: 'Mode', value: 'MANUAL' }
+    ],
+    PPS: [
+        { key: 'start', label: 'Start Pump', field: 'Status', value: true },
+        { key: 'stop', label: 'Stop Pump', field: 'Status', value: false },
+        { key: 'auto', label: 'Switch to AUTO', field: 'Mode', value: 'AUTO' },
+        { key: 'manual', label: 'Switch to MANUAL', field: 'Mode', value: 'MANUAL' }
+    ],
+    CFT: [
+        { key: 'start', label: 'Start Mixer', field: 'Mixer_Status', value: true },
+        { key: 'stop', label: 'Stop Mixer', field: 'Mixer_Status', value: false }
+    ],
+    SCT: [
+        { key: 'start', label: 'Start Scraper', field: 'Scraper_Status', value: true },
+        { key: 'stop', label: 'Stop Scraper', field: 'Scraper_Status', value: false }
+    ],
+    SLT: [
+        { key: 'start', label: 'Start Sludge Pump', field: 'Pump_Status', value: true },
+        { key: 'stop', label: 'Stop Sludge Pump', field: 'Pump_Status', value: false }
+    ],
+    FTR: [
+        { key: 'backwash', label: 'Request Backwash', field: 'Backwash_Status', value: true }
+    ],
+    PLT: [
+        { key: 'auto', label: 'Plant to AUTO', field: 'System_Mode', value: 'AUTO' },
+        { key: 'manual', label: 'Plant to MANUAL', field: 'System_Mode', value: 'MANUAL' }
+    ]
+};
 
-        if (error.message.includes('Failed to fetch') || error.message.includes('NetworkError')) {
-            connectionStatus = 'disconnected';
-        } else {
-            connectionStatus = 'error';
-        }
+// Active catalog - the profile's commands replace the entries per component
+let commandCatalog = COMMAND_CATALOG;
 
-        updateConnectionIndicator();
+// Issued commands, newest first
+let commands = [];
+let commandSeq = 0;
+const commandTimers = new Map();
 
-        if (consecutiveErrors >= API_CONFIG.maxRetries) {
-            console.error(`Stopping polling after ${consecutiveErrors} consecutive errors`);
-            stopPolling();
-        }
+function getCommandEndpoint() {
+    return API_CONFIG.commandUrl || (_baseUrl ? _baseUrl + API_PATHS.command : null);
+}
 
-        throw error;
-    }
+/**
+ * Commands of a component with the plantData path that confirms each one
+ */
+function getAvailableCommands(component, index = null) {
+    const prefix = index === null || index === undefined ? component : `${component}.${index}`;
+    return (commandCatalog[component] || []).map(command => ({ ...command, path: `${prefix}.${command.field}` }));
 }
 
-async function fetchAndUpdate() {
-    try {
-        const plantData = await fetchPlantData();
+/**
+ * Copies of the issued commands for the UI
+ */
+function getCommands() {
+    return commands.map(command => ({ ...command }));
+}
 
-        if (window.WTPVisualizer) {
-            window.WTPVisualizer.updatePlantData(plantData);
-        } else {
-            console.warn('WTPVisualizer not found');
-        }
+function notifyCommandUpdate() {
+    if (window.WTPVisualizer) window.WTPVisualizer.updateCommandStatus(getCommands());
+}
 
-    } catch (error) {
-        console.error('Failed to fetch and update:', error);
-    }
+function finishCommand(command, state, error = null) {
+    clearTimeout(commandTimers.get(command.id));
+    commandTimers.delete(command.id);
+    command.state = state;
+    command.error = error;
+    command.finishedAt = new Date();
+    notifyCommandUpdate();
 }
 
-// ============================================================================
-// POLLING CONTROL
-// ============================================================================
+/**
+ * Send a command to the active asset. The returned command is 'pending' once the
+ * API accepted it, and becomes 'confirmed' when the telemetry shows the new state,
+ * or 'failed' when the API rejects it or no confirmation arrives in time.
+ */
+async function sendCommand(component, index, key) {
+    requirePermission('commands');
 
-function startPolling() {
-    if (isPolling) {
-        console.log('Polling already active');
-        return;
+    const definition = getAvailableCommands(component, index).find(c => c.key === key);
+    if (!definition) {
+        throw new Error(`Unknown command "${key}" for ${component}`);
     }
 
-    console.log(`Starting WTP API polling every ${API_CONFIG.pollingInterval}ms`);
-    isPolling = true;
+    const command = {
+        id: `cmd-${Date.now()}-${++commandSeq}`,
+        assetId: API_CONFIG.assetId,
+        component,
+        index: index ?? null,
+        key,
+        label: definition.label,
+        path: definition.path,
+        value: definition.value,
+        state: 'sending',
+        error: null,
+        issuedAt: new Date(),
+        acceptedAt: null,
+        finishedAt: null
+    };
+    commands = [command, ...commands].slice(0, 20);
+    notifyCommandUpdate();
 
-    fetchAndUpdate();
-    pollingIntervalId = setInterval(fetchAndUpdate, API_CONFIG.pollingInterval);
+    try {
+        const endpoint = getCommandEndpoint();
+        if (!endpoint) throw new Error('No command endpoint - invalid or missing ?mode= parameter');
+        if (!API_CONFIG.bearerToken) throw new Error('Not signed in');
 
-    updateConnectionIndicator();
-}
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${API_CONFIG.bearerToken}`
+            },
+            mode: 'cors',
+            body: JSON.stringify({
+                commandId: command.id,
+                assetId: command.assetId,
+                component,
+                index: command.index,
+                action: key,
+                field: definition.field,
+                value: definition.value
+            })
+        });
 
-function stopPolling() {
-    if (!isPolling) {
-        console.log('Polling not active');
-        return;
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok || body.success === false) {
+            throw new Error(body.message || `HTTP ${response.status}: ${response.statusText}`);
+        }
+    } catch (error) {
+        console.error(`Command ${component} ${key} failed:`, error);
+        finishCommand(command, 'failed', error.message);
+        return { ...command };
     }
 
-    console.log('Stopping API polling');
-    isPolling = false;
-
-    if (pollingIntervalId) {
-        clearInterval(pollingIntervalId);
-        pollingIntervalId = null;
-    }
+    console.log(`Command ${command.id} accepted: ${command.path} -> ${command.value}`);
+    command.state = 'pending';
+    command.acceptedAt = Date.now();
+    commandTimers.set(command.id, setTimeout(() => {
+        finishCommand(command, 'failed', `No confirmation from telemetry within ${API_CONFIG.commandTimeout / 1000} s`);
+    }, API_CONFIG.commandTimeout));
+    notifyCommandUpdate();
 
-    connectionStatus = 'disconnected';
-    updateConnectionIndicator();
+    return { ...command };
 }
 
-function togglePolling() {
-    if (isPolling) {
-        stopPolling();
-    } else {
-        startPolling();
-    }
+/**
+ * Confirm pending commands whose target state shows up in telemetry read after
+ * the command was accepted. Fields copied from another tank (fallback) or filled
+ * with a default say nothing about the commanded device, so they never confirm.
+ */
+function confirmCommands(plantData, observedAt) {
+    const inferred = new Set([...mappingReport.shared, ...mappingReport.defaulted]);
+    commands
+        .filter(command => command.state === 'pending' && command.assetId === API_CONFIG.assetId)
+        .filter(command => observedAt >= command.acceptedAt && !inferred.has(command.path))
+        .filter(command => getByPath(plantData, command.path) === command.value)
+        .forEach(command => {
+            console.log(`Command ${command.id} confirmed by telemetry`);
+            finishCommand(command, 'confirmed');
+        });
 }
 
 // ============================================================================
@@ -423,7 +2139,7 @@ function updateConnectionIndicator() {
 
     if (statusText) {
         if (connectionStatus === 'connected') {
-            statusText.textContent = 'Live Data';
+            statusText.textContent = `Live Data (${TRANSPORT_LABELS[activeTransport] || 'HTTP Polling'})`;
         } else if (connectionStatus === 'disconnected') {
             statusText.textContent = 'Disconnected';
         } else {
@@ -436,9 +2152,12 @@ function updateConnectionIndicator() {
         lastUpdate.textContent = timeAgo < 60 ? `${timeAgo}s ago` : `${Math.floor(timeAgo / 60)}m ago`;
     }
 
-    if (dataSource) {
+    updatePollStateIndicator();
+
+    // Replay and simulation set their own data source label
+    if (dataSource && !window.WTPVisualizer?.isReplaying() && !window.WTPVisualizer?.isSimulating()) {
         if (isPolling && connectionStatus === 'connected') {
-            dataSource.textContent = 'Data: Live API';
+            dataSource.textContent = activeTransport === 'mqtt' ? 'Data: MQTT Broker' : 'Data: Live API';
             dataSource.style.color = '#69f0ae';
         } else if (isPolling && connectionStatus === 'error') {
             dataSource.textContent = 'Data: API Error';
@@ -450,9 +2169,117 @@ function updateConnectionIndicator() {
     }
 }
 
-// Update "time ago" every second
+/**
+ * Retry countdown or offline notice of the poll scheduler below the status
+ */
+function updatePollStateIndicator() {
+    const el = document.getElementById('api-poll-state');
+    if (!el) return;
+
+    let text = '';
+    if (isPolling && activeTransport === 'poll') {
+        if (pollState === 'offline') {
+            text = 'Offline - resumes when the network is back';
+        } else if (pollState === 'backoff' && nextPollAt) {
+            const seconds = Math.max(0, Math.ceil((nextPollAt - Date.now()) / 1000));
+            text = `Retry ${consecutiveErrors + 1} in ${seconds}s`;
+        } else if (pollState === 'fetching' && consecutiveErrors > 0) {
+            text = `Retrying (attempt ${consecutiveErrors + 1})...`;
+        }
+    }
+
+    el.style.display = text ? 'inline' : 'none';
+    el.textContent = text;
+    el.title = text ? `${consecutiveErrors} consecutive failure(s); request #${pollSequence}` : '';
+}
+
+function updateToggleButton() {
+    const toggleBtn = document.getElementById('api-toggle-btn');
+    if (toggleBtn) {
+        const simulating = Boolean(window.WTPVisualizer?.isSimulating());
+        toggleBtn.textContent = isPolling ? 'Stop' : 'Start';
+        toggleBtn.style.background = isPolling ? '#ff5252' : '#4fc3f7';
+        toggleBtn.disabled = simulating && !isPolling;
+        toggleBtn.style.opacity = toggleBtn.disabled ? '0.5' : '1';
+        toggleBtn.title = toggleBtn.disabled ? 'Stop the simulation to resume live data' : '';
+    }
+}
+
+/**
+ * Signed-in user and session expiry next to the connection status
+ */
+function updateAuthIndicator() {
+    const user = document.getElementById('api-user');
+    const logoutBtn = document.getElementById('api-logout-btn');
+
+    if (user) {
+        user.style.display = session ? 'inline' : 'none';
+        user.textContent = `👤 ${session?.user || 'Token'} (${currentRole})`;
+        user.title = session?.expiresAt
+            ? `Token ${session.refreshToken ? 'renews' : 'expires'} at ${new Date(session.expiresAt).toLocaleTimeString()}`
+            : 'Token without expiry';
+    }
+    if (logoutBtn) logoutBtn.style.display = session ? 'block' : 'none';
+}
+
+function showLoginModal(message = 'Sign in to see live plant data.') {
+    const modal = document.getElementById('login-modal');
+    if (!modal) return;
+
+    document.getElementById('login-message').textContent = message;
+    document.getElementById('login-btn').style.display = API_CONFIG.oidc.issuer ? 'block' : 'none';
+    document.getElementById('login-token-hint').style.display = API_CONFIG.oidc.issuer ? 'none' : 'block';
+    modal.style.display = 'flex';
+}
+
+function hideLoginModal() {
+    const modal = document.getElementById('login-modal');
+    if (modal) modal.style.display = 'none';
+}
+
+/**
+ * Show how many fields the current mapping could not fill, with the list as tooltip
+ */
+function updateMappingIndicator() {
+    const el = document.getElementById('api-mapping-warning');
+    if (!el) return;
+
+    const { missing, defaulted, shared } = mappingReport;
+    if (missing.length === 0 && defaulted.length === 0 && shared.length === 0) {
+        el.style.display = 'none';
+        return;
+    }
+
+    el.style.display = 'inline';
+    el.textContent = `⚠ ${missing.length} missing, ${defaulted.length} defaulted, ${shared.length} shared`;
+    el.title = [
+        missing.length ? `Missing (shown as --):\n  ${missing.join('\n  ')}` : '',
+        defaulted.length ? `Defaulted:\n  ${defaulted.join('\n  ')}` : '',
+        shared.length ? `Shared with another tank:\n  ${shared.join('\n  ')}` : ''
+    ].filter(Boolean).join('\n');
+}
+
+/**
+ * Fill the asset picker; it and the overview button only appear with two or more assets
+ */
+function updateAssetPicker() {
+    const select = document.getElementById('api-asset-select');
+    const overviewBtn = document.getElementById('api-overview-btn');
+    const multiple = API_CONFIG.assets.length > 1;
+
+    if (select) {
+        select.innerHTML = API_CONFIG.assets
+            .map(asset => `<option value="${asset.id}">${escapeHtml(asset.name)}</option>`)
+            .join('');
+        select.value = String(API_CONFIG.assetId ?? '');
+        select.style.display = multiple ? 'block' : 'none';
+    }
+    if (overviewBtn) overviewBtn.style.display = multiple ? 'block' : 'none';
+}
+
+// Update "time ago" and the retry countdown every second
 setInterval(() => {
-    if (lastFetchTime) {
+    if (lastFetchTime || pollState === 'backoff') {
         updateConnectionIndicator();
     }
 }, 1000);
@@ -484,7 +2311,30 @@ function createConnectionIndicator() {
             <div style="display: flex; flex-direction: column;">
                 <span id="api-status-text" style="color: #fff; font-weight: bold;">Disconnected</span>
                 <span id="api-last-update" style="color: #888; font-size: 10px;">Never</span>
+                <span id="api-poll-state" style="color: #ffd740; font-size: 10px; display: none;"></span>
+                <span id="api-mapping-warning" style="color: #ffd740; font-size: 10px; display: none;"></span>
+                <span id="api-user" style="color: #aaa; font-size: 10px; display: none;"></span>
             </div>
+            <select id="api-asset-select" title="Active asset" style="
+                display: none;
+                background: #222;
+                color: #fff;
+                border: 1px solid #555;
+                border-radius: 4px;
+                font-size: 10px;
+                padding: 3px;
+                max-width: 140px;
+            "></select>
+            <button id="api-overview-btn" style="
+                display: none;
+                background: #4fc3f7;
+                border: none;
+                color: #000;
+                padding: 4px 8px;
+                border-radius: 4px;
+                cursor: pointer;
+                font-size: 10px;
+            ">Plants</button>
             <button id="api-toggle-btn" style="
                 background: #4fc3f7;
                 border: none;
@@ -495,6 +2345,16 @@ function createConnectionIndicator() {
                 font-size: 10px;
                 margin-left: 5px;
             ">Start</button>
+            <button id="api-logout-btn" style="
+                display: none;
+                background: #444;
+                border: none;
+                color: #fff;
+                padding: 4px 8px;
+                border-radius: 4px;
+                cursor: pointer;
+                font-size: 10px;
+            ">Logout</button>
         </div>
 
         <style>
@@ -523,12 +2383,107 @@ function createConnectionIndicator() {
 
     document.body.appendChild(indicator);
 
+    const overview = document.createElement('div');
+    overview.id = 'asset-overview';
+    overview.style.cssText = `
+        display: none;
+        position: absolute;
+        top: 120px;
+        right: 10px;
+        width: 320px;
+        max-height: 60vh;
+        overflow-y: auto;
+        background: rgba(0, 0, 0, 0.85);
+        padding: 10px;
+        border-radius: 8px;
+        z-index: 101;
+        font-size: 12px;
+    `;
+    overview.innerHTML = `
+        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">
+            <span style="color: #4fc3f7; font-weight: bold;">Plant Overview</span>
+            <button id="asset-overview-close" style="
+                background: none;
+                border: none;
+                color: #888;
+                cursor: pointer;
+                font-size: 14px;
+            ">✕</button>
+        </div>
+        <div id="asset-overview-grid" style="display: grid; grid-template-columns: 1fr 1fr; gap: 8px;"></div>
+    `;
+    document.body.appendChild(overview);
+
+    const loginModal = document.createElement('div');
+    loginModal.id = 'login-modal';
+    loginModal.style.cssText = `
+        display: none;
+        position: fixed;
+        inset: 0;
+        background: rgba(0, 0, 0, 0.6);
+        z-index: 300;
+        align-items: center;
+        justify-content: center;
+    `;
+    loginModal.innerHTML = `
+        <div style="
+            background: rgba(20, 20, 20, 0.95);
+            border: 1px solid #4fc3f7;
+            border-radius: 8px;
+            padding: 20px 25px;
+            width: 320px;
+            color: #fff;
+            font-size: 13px;
+            text-align: center;
+        ">
+            <div style="color: #4fc3f7; font-weight: bold; font-size: 16px; margin-bottom: 10px;">🔐 Sign In</div>
+            <p id="login-message" style="margin: 0 0 15px; color: #ccc;"></p>
+            <button id="login-btn" style="
+                width: 100%;
+                background: #4fc3f7;
+                border: none;
+                color: #000;
+                padding: 8px;
+                border-radius: 4px;
+                cursor: pointer;
+                font-weight: bold;
+            ">Sign in</button>
+            <p id="login-token-hint" style="margin: 0; color: #888; font-size: 11px;">
+                Open the page with <code>?auth=YOUR_TOKEN</code>, or configure an identity provider with <code>?issuer=</code>.
+            </p>
+            <button id="login-close" style="
+                margin-top: 10px;
+                background: none;
+                border: none;
+                color: #888;
+                cursor: pointer;
+                font-size: 11px;
+            ">Continue without live data</button>
+        </div>
+    `;
+    document.body.appendChild(loginModal);
+
+    document.getElementById('login-btn').addEventListener('click', () => {
+        login().catch(error => showLoginModal(`Sign-in failed: ${error.message}`));
+    });
+    document.getElementById('login-close').addEventListener('click', hideLoginModal);
+    document.getElementById('api-logout-btn').addEventListener('click', logout);
+
+    document.getElementById('api-asset-select').addEventListener('change', (event) => {
+        switchAsset(event.target.value);
+    });
+    document.getElementById('api-overview-btn').addEventListener('click', () => toggleAssetOverview());
+    document.getElementById('asset-overview-close').addEventListener('click', () => toggleAssetOverview(false));
+    document.getElementById('asset-overview-grid').addEventListener('click', (event) => {
+        const card = event.target.closest('.asset-card');
+        if (card) switchAsset(card.dataset.assetId);
+    });
+
     const toggleBtn = document.getElementById('api-toggle-btn');
     if (toggleBtn) {
         toggleBtn.addEventListener('click', () => {
             togglePolling();
-            toggleBtn.textContent = isPolling ? 'Stop' : 'Start';
-            toggleBtn.style.background = isPolling ? '#ff5252' : '#4fc3f7';
+            updateToggleButton();
         });
     }
 
@@ -551,8 +2506,34 @@ async function initAPI() {
 
     createConnectionIndicator();
 
+    // The profile may name the field mapping and the roles file
+    await loadProfile();
+    await loadRoles();
+
+    // MQTT reads straight from a broker and needs neither the cloud API nor a token
+    if (API_CONFIG.transport === 'mqtt') {
+        API_CONFIG.assetId = getAssetIdFromUrl() ?? API_CONFIG.assets[0]?.id ?? null;
+        ensureAssetListed(API_CONFIG.assetId);
+        updateAssetPicker();
+        const urlToken = getTokenFromUrl();
+        if (urlToken) {
+            stripAuthParams();
+            setSession({ access_token: urlToken });
+        } else if (!loadStoredSession()) {
+            console.log('No token - connecting to MQTT broker without one');
+        }
+        await loadFieldSchema(API_CONFIG.assetId);
+        startAssetOverview();
+        if (API_CONFIG.autoStart) {
+            setTimeout(() => {
+                startPolling();
+            }, 1000);
+        }
+        return;
+    }
+
     // Abort immediately if mode is invalid — do not show static data
-    if (!_currentMode) {
+    if (!_baseUrl) {
         connectionStatus = 'error';
         updateConnectionIndicator();
         const dataSource = document.getElementById('data-source');
@@ -566,6 +2547,10 @@ async function initAPI() {
 
     try {
         await ensureAuthenticated();
+        ensureAssetListed(API_CONFIG.assetId);
+        updateAssetPicker();
+        await loadFieldSchema(API_CONFIG.assetId);
+        startAssetOverview();
 
         if (API_CONFIG.autoStart) {
             setTimeout(() => {
@@ -577,12 +2562,13 @@ async function initAPI() {
         connectionStatus = 'error';
         updateConnectionIndicator();
 
+        const isNoAsset = error.message.includes('assetId');
         const dataSource = document.getElementById('data-source');
         if (dataSource) {
-            const isNoAsset = error.message.includes('assetId');
-            dataSource.textContent = isNoAsset ? 'Data: No Asset ID' : 'Data: No Token';
+            dataSource.textContent = isNoAsset ? 'Data: No Asset ID' : 'Data: Signed Out';
             dataSource.style.color = '#ff5252';
         }
+        if (!isNoAsset) showLoginModal(error.message === 'No authentication token provided' ? undefined : error.message);
 
         // Ensure the visualizer shows no data (not static defaults)
         if (window.WTPVisualizer) window.WTPVisualizer.clearData();
@@ -597,15 +2583,41 @@ window.WTPAPI = {
     clearToken,
     ensureAuthenticated,
     isAuthenticated: () => isAuthenticated,
+    login,
+    logout,
+    refreshSession,
+    getSession: () => session && { user: session.user, expiresAt: session.expiresAt, renewable: Boolean(session.refreshToken) },
+    getRole: () => currentRole,
+    hasPermission,
 
     startPolling,
     stopPolling,
     togglePolling,
+    updateToggleButton,
     fetchPlantData,
+    fetchAssetData: (assetId) => {
+        requirePermission('inspect');
+        return fetchAssetData(assetId);
+    },
     transformApiData,
+    loadFieldSchema,
+    getFieldSchema: () => fieldSchema,
+    getMappingReport: () => mappingReport,
+    loadProfile,
+
+    switchAsset,
+    getAssets: () => API_CONFIG.assets,
+    getAssetOverview: () => overviewStatus,
+    refreshAssetOverview: pollAssetOverview,
+
+    getAvailableCommands,
+    sendCommand,
+    getCommands,
 
     getConnectionStatus: () => connectionStatus,
+    getTransport: () => activeTransport,
     getLastFetchTime: () => lastFetchTime,
+    getPollStatus,
     isPolling: () => isPolling,
 
     config: API_CONFIG
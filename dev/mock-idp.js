@@ -0,0 +1,217 @@
+/**
+ * Mock OpenID Connect provider for testing the sign-in flow locally.
+ *
+ * Supports discovery, the authorization code flow with PKCE (S256), refresh
+ * tokens and RP-initiated logout. Every user name is accepted and the role
+ * picked on the sign-in form is put in the `roles` claim; tokens are HS256
+ * JWTs signed with a dev secret and must never be used outside testing.
+ *
+ * Usage:
+ *   node dev/mock-idp.js [--port 4000] [--ttl 120]
+ *   node dev/mock-plant-api.js
+ *   open http://localhost:3000/?apiBase=http://localhost:4001&assetId=1&issuer=http://localhost:4000
+ *
+ * --ttl sets the access token lifetime in seconds (short values exercise the
+ * silent renewal).
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+function getArg(name, fallback) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index > -1 ? process.argv[index + 1] : fallback;
+}
+
+const PORT = Number(getArg('port', process.env.PORT || 4000));
+const ISSUER = `http://localhost:${PORT}`;
+const ACCESS_TOKEN_TTL = Number(getArg('ttl', 300));
+const SECRET = 'wtp-mock-idp-secret';
+
+const ROLES = ['viewer', 'operator', 'engineer'];
+
+const codes = new Map();          // code -> { clientId, redirectUri, challenge, nonce, user, role }
+const refreshTokens = new Map();  // refresh token -> { clientId, user, role }
+
+function base64Url(input) {
+    return Buffer.from(input).toString('base64url');
+}
+
+function signJwt(claims) {
+    const header = base64Url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64Url(JSON.stringify(claims));
+    const signature = crypto.createHmac('sha256', SECRET).update(`${header}.${payload}`).digest('base64url');
+    return `${header}.${payload}.${signature}`;
+}
+
+function issueTokens(clientId, user, role, nonce) {
+    const now = Math.floor(Date.now() / 1000);
+    const common = { iss: ISSUER, sub: user, aud: clientId, iat: now, exp: now + ACCESS_TOKEN_TTL, roles: [role] };
+    const refreshToken = crypto.randomBytes(32).toString('base64url');
+    refreshTokens.set(refreshToken, { clientId, user, role });
+
+    return {
+        token_type: 'Bearer',
+        access_token: signJwt({ ...common, scope: 'openid profile offline_access' }),
+        id_token: signJwt({ ...common, name: user, preferred_username: user, ...(nonce ? { nonce } : {}) }),
+        refresh_token: refreshToken,
+        expires_in: ACCESS_TOKEN_TTL
+    };
+}
+
+function send(res, status, body, headers = {}) {
+    res.writeHead(status, {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        ...headers
+    });
+    res.end(body);
+}
+
+function sendJson(res, status, body) {
+    send(res, status, JSON.stringify(body), { 'Content-Type': 'application/json' });
+}
+
+function redirect(res, location) {
+    send(res, 302, '', { Location: location });
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => resolve(new URLSearchParams(body)));
+        req.on('error', reject);
+    });
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+function renderLoginForm(params) {
+    const hidden = [...params].map(([name, value]) =>
+        `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`).join('');
+    return `<!DOCTYPE html>
+<html><head><title>Mock IdP</title></head>
+<body style="font-family: sans-serif; background: #1a1a2e; color: #fff; display: flex; justify-content: center; padding-top: 15vh;">
+    <form method="POST" action="/authorize" style="background: #222; padding: 25px; border-radius: 8px; width: 260px;">
+        <h3 style="margin-top: 0; color: #4fc3f7;">Mock IdP</h3>
+        <p style="color: #aaa; font-size: 12px;">Any user name is accepted.</p>
+        <input name="username" value="operator" autofocus style="width: 100%; box-sizing: border-box; padding: 6px; margin-bottom: 10px;">
+        <select name="role" style="width: 100%; padding: 6px; margin-bottom: 10px;">
+            ${ROLES.map(role => `<option${role === 'operator' ? ' selected' : ''}>${role}</option>`).join('')}
+        </select>
+        ${hidden}
+        <button type="submit" style="width: 100%; padding: 8px;">Sign in</button>
+    </form>
+</body></html>`;
+}
+
+/**
+ * Validate an authorization request; returns an error text or null
+ */
+function checkAuthorizeParams(params) {
+    if (params.get('response_type') !== 'code') return 'response_type must be code';
+    if (!params.get('client_id')) return 'client_id is required';
+    if (!params.get('redirect_uri')) return 'redirect_uri is required';
+    if (!params.get('code_challenge') || params.get('code_challenge_method') !== 'S256') {
+        return 'PKCE with code_challenge_method=S256 is required';
+    }
+    return null;
+}
+
+async function handleAuthorize(req, res, url) {
+    const params = req.method === 'POST' ? await readBody(req) : url.searchParams;
+    const error = checkAuthorizeParams(params);
+    if (error) return send(res, 400, error);
+
+    if (req.method === 'GET') {
+        return send(res, 200, renderLoginForm(params), { 'Content-Type': 'text/html' });
+    }
+
+    const code = crypto.randomBytes(16).toString('base64url');
+    codes.set(code, {
+        clientId: params.get('client_id'),
+        redirectUri: params.get('redirect_uri'),
+        challenge: params.get('code_challenge'),
+        nonce: params.get('nonce'),
+        user: params.get('username') || 'operator',
+        role: ROLES.includes(params.get('role')) ? params.get('role') : 'viewer'
+    });
+    setTimeout(() => codes.delete(code), 60000);
+
+    const target = new URL(params.get('redirect_uri'));
+    target.searchParams.set('code', code);
+    if (params.get('state')) target.searchParams.set('state', params.get('state'));
+    target.searchParams.set('iss', ISSUER);
+    redirect(res, target.toString());
+}
+
+async function handleToken(req, res) {
+    const params = await readBody(req);
+    const grantType = params.get('grant_type');
+
+    if (grantType === 'authorization_code') {
+        const grant = codes.get(params.get('code'));
+        codes.delete(params.get('code'));
+        if (!grant) return sendJson(res, 400, { error: 'invalid_grant', error_description: 'Unknown or used code' });
+
+        const challenge = crypto.createHash('sha256').update(params.get('code_verifier') || '').digest('base64url');
+        if (challenge !== grant.challenge) {
+            return sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+        }
+        if (params.get('redirect_uri') !== grant.redirectUri || params.get('client_id') !== grant.clientId) {
+            return sendJson(res, 400, { error: 'invalid_grant', error_description: 'Client or redirect_uri mismatch' });
+        }
+        console.log(`Signed in ${grant.user} (${grant.role})`);
+        return sendJson(res, 200, issueTokens(grant.clientId, grant.user, grant.role, grant.nonce));
+    }
+
+    if (grantType === 'refresh_token') {
+        const grant = refreshTokens.get(params.get('refresh_token'));
+        refreshTokens.delete(params.get('refresh_token'));
+        if (!grant || params.get('client_id') !== grant.clientId) {
+            return sendJson(res, 400, { error: 'invalid_grant', error_description: 'Unknown refresh token' });
+        }
+        console.log(`Renewed ${grant.user}`);
+        return sendJson(res, 200, issueTokens(grant.clientId, grant.user, grant.role));
+    }
+
+    sendJson(res, 400, { error: 'unsupported_grant_type' });
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, ISSUER);
+
+    if (req.method === 'OPTIONS') return send(res, 204, '');
+
+    switch (url.pathname) {
+        case '/.well-known/openid-configuration':
+            return sendJson(res, 200, {
+                issuer: ISSUER,
+                authorization_endpoint: `${ISSUER}/authorize`,
+                token_endpoint: `${ISSUER}/token`,
+                end_session_endpoint: `${ISSUER}/logout`,
+                response_types_supported: ['code'],
+                grant_types_supported: ['authorization_code', 'refresh_token'],
+                code_challenge_methods_supported: ['S256'],
+                id_token_signing_alg_values_supported: ['HS256']
+            });
+        case '/authorize':
+            return handleAuthorize(req, res, url).catch(error => send(res, 500, error.message));
+        case '/token':
+            if (req.method !== 'POST') return send(res, 405, '');
+            return handleToken(req, res).catch(error => sendJson(res, 500, { error: 'server_error', error_description: error.message }));
+        case '/logout':
+            return url.searchParams.get('post_logout_redirect_uri')
+                ? redirect(res, url.searchParams.get('post_logout_redirect_uri'))
+                : send(res, 200, 'Signed out');
+        default:
+            send(res, 404, 'Not found');
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock IdP listening on ${ISSUER} (access tokens live ${ACCESS_TOKEN_TTL}s)`);
+});
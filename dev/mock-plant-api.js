@@ -0,0 +1,202 @@
+/**
+ * Mock plant API for testing live data and operator commands locally.
+ *
+ * Serves GetAssetDevicesData and the StreamAssetDevicesData SSE stream for any
+ * asset id and accepts commands on SendAssetCommand. An accepted command shows
+ * up in the telemetry after --delay seconds, so the pending -> confirmed cycle
+ * can be watched. Any token is accepted (bearer header, or access_token for the
+ * stream), but one must be sent.
+ *
+ * Usage:
+ *   node dev/mock-plant-api.js [--port 4001] [--delay 3] [--ignore] [--reject]
+ *   open http://localhost:3000/?apiBase=http://localhost:4001&assetId=1&auth=test[&transport=sse]
+ *
+ * A bare ?auth= token gets the viewer role; to send commands, sign in as operator
+ * through dev/mock-idp.js (&issuer=http://localhost:4000 instead of &auth=).
+ *
+ * --ignore accepts commands without ever applying them (the UI fails them after
+ * its confirmation timeout); --reject answers every command with an error.
+ */
+
+const http = require('http');
+
+function getArg(name, fallback) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index > -1 ? process.argv[index + 1] : fallback;
+}
+
+const PORT = Number(getArg('port', process.env.PORT || 4001));
+const APPLY_DELAY = Number(getArg('delay', 3)) * 1000;
+const IGNORE_COMMANDS = process.argv.includes('--ignore');
+const STREAM_INTERVAL = 3000;
+const REJECT_COMMANDS = process.argv.includes('--reject');
+
+// Backwash ends by itself after this time
+const BACKWASH_DURATION = 60000;
+
+// Command telemetry path -> API field
+const COMMAND_FIELDS = {
+    'CDP.Status': 'cdpStatus',
+    'CDP.Mode': 'cdpMode',
+    'PPS.Status': 'ppsPumpStatus',
+    'PPS.Mode': 'ppsMode',
+    'CFT.Mixer_Status': 'cftMixerStatus',
+    'SCT.0.Scraper_Status': 'sct1ScraperStatus',
+    'SCT.1.Scraper_Status': 'sct2ScraperStatus',
+    'SLT.Pump_Status': 'sltPumpStatus',
+    'FTR.Backwash_Status': 'ftrBackwashStatus',
+    'PLT.System_Mode': 'pltSystemMode'
+};
+
+const plants = new Map();  // assetId -> API fields
+
+function createPlant() {
+    return {
+        rwtLevel: 65, rwtLevelHighAlarm: false, rwtLevelLowAlarm: false,
+        rwtInflowRate: 120, rwtOutflowRate: 118, rwtph: 7.4, rwtTurbidity: 35,
+        cdpStatus: true, cdpMode: 'AUTO', cdpDosingRate: 14, cdpTotalChemicalUsed: 1250, cdpPressure: 2.1, cdpFault: false,
+        cstLevel: 72, cstLowLevelAlarm: false,
+        cftLevel: 60, cftMixerStatus: true, cftph: 6.9, cftTurbidity: 30, cftDosingRate: 14,
+        sct1Level: 70, sct1SludgeLevel: 35, sct1TurbidityOutlet: 4, sct1ScraperStatus: false,
+        sct2Level: 69, sct2SludgeLevel: 38, sct2TurbidityOutlet: 4.3, sct2ScraperStatus: false,
+        ftrDifferentialPressure: 0.8, ftrFlowRate: 117, ftrBackwashStatus: false,
+        cwt1Level: 70, cwt1LevelHighAlarm: false, cwt1LevelLowAlarm: false, cwt1ph: 7.3, cwt1Turbidity: 0.4, cwt1ResidualChlorine: 0.8,
+        cwt2Level: 68, cwt2LevelHighAlarm: false, cwt2LevelLowAlarm: false, cwt2ph: 7.3, cwt2Turbidity: 0.5, cwt2ResidualChlorine: 0.7,
+        sltLevel: 40, sltPumpStatus: false,
+        ppsPumpStatus: true, ppsMode: 'AUTO', ppsFlowRate: 115, ppsOutletPressure: 4.2, ppsFault: false,
+        pltTotalInflow: 120, pltTotalOutflow: 115, pltSystemMode: 'AUTO', pltAlarmStatus: false
+    };
+}
+
+function getPlant(assetId) {
+    if (!plants.has(assetId)) plants.set(assetId, createPlant());
+    return plants.get(assetId);
+}
+
+/**
+ * Current readings: the stored state with some noise, and flows that follow
+ * the pump states
+ */
+function readPlant(plant) {
+    const t = Date.now() / 60000;
+    const wave = (amplitude, period) => Number((amplitude * Math.sin(t * 2 * Math.PI / period)).toFixed(2));
+    return {
+        ...plant,
+        rwtLevel: plant.rwtLevel + wave(3, 7),
+        rwtTurbidity: plant.rwtTurbidity + wave(5, 11),
+        cwt1Level: plant.cwt1Level + wave(2, 9),
+        cwt2Level: plant.cwt2Level + wave(2, 10),
+        cdpDosingRate: plant.cdpStatus ? plant.cdpDosingRate + wave(0.5, 3) : 0,
+        cftDosingRate: plant.cdpStatus ? plant.cftDosingRate + wave(0.5, 3) : 0,
+        cdpPressure: plant.cdpStatus ? plant.cdpPressure : 0,
+        ftrFlowRate: plant.ftrBackwashStatus ? 0 : plant.ftrFlowRate + wave(2, 5),
+        ppsFlowRate: plant.ppsPumpStatus ? plant.ppsFlowRate + wave(3, 4) : 0,
+        ppsOutletPressure: plant.ppsPumpStatus ? plant.ppsOutletPressure : 0,
+        pltTotalOutflow: plant.ppsPumpStatus ? plant.pltTotalOutflow : 0
+    };
+}
+
+function applyCommand(assetId, command) {
+    const index = command.index === null || command.index === undefined ? '' : `.${command.index}`;
+    const field = COMMAND_FIELDS[`${command.component}${index}.${command.field}`];
+    if (!field) return `Unknown command target ${command.component}${index}.${command.field}`;
+
+    const plant = getPlant(assetId);
+    if (typeof command.value !== typeof plant[field]) return `Invalid value for ${field}`;
+
+    console.log(`Asset ${assetId}: ${command.commandId} ${field} -> ${command.value}${IGNORE_COMMANDS ? ' (ignored)' : ''}`);
+    if (IGNORE_COMMANDS) return null;
+
+    setTimeout(() => {
+        plant[field] = command.value;
+        if (field === 'ftrBackwashStatus' && command.value) {
+            setTimeout(() => { plant.ftrBackwashStatus = false; }, BACKWASH_DURATION);
+        }
+    }, APPLY_DELAY);
+    return null;
+}
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Authorization, Content-Type'
+    });
+    res.end(JSON.stringify(body));
+}
+
+function getPlantResponse(assetId) {
+    return { success: true, data: { waterTreatmentPlantComponentsData: [readPlant(getPlant(assetId))] } };
+}
+
+function streamPlant(req, res, assetId) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Access-Control-Allow-Origin': '*'
+    });
+    const push = () => res.write(`data: ${JSON.stringify(getPlantResponse(assetId))}\n\n`);
+    push();
+    const timer = setInterval(push, STREAM_INTERVAL);
+    req.on('close', () => clearInterval(timer));
+}
+
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(body || '{}'));
+            } catch (error) {
+                reject(error);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+
+    if (req.method === 'OPTIONS') return send(res, 204, {});
+
+    // EventSource cannot send headers, so the stream takes the token as a query parameter
+    if (req.method === 'GET' && url.pathname === '/api/Dashboard/StreamAssetDevicesData') {
+        if (!url.searchParams.get('access_token')) {
+            return send(res, 401, { success: false, message: 'Missing access_token' });
+        }
+        return streamPlant(req, res, Number(url.searchParams.get('assetId')));
+    }
+
+    if (!/^Bearer \S+/.test(req.headers.authorization || '')) {
+        return send(res, 401, { success: false, message: 'Missing bearer token' });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/api/Dashboard/GetAssetDevicesData') {
+        const assetId = Number(url.searchParams.get('assetId'));
+        return send(res, 200, getPlantResponse(assetId));
+    }
+
+    if (req.method === 'POST' && url.pathname === '/api/Dashboard/SendAssetCommand') {
+        let command;
+        try {
+            command = await readJson(req);
+        } catch {
+            return send(res, 400, { success: false, message: 'Invalid JSON' });
+        }
+        if (REJECT_COMMANDS) {
+            return send(res, 200, { success: false, message: 'Commands are disabled on this plant' });
+        }
+        const error = applyCommand(Number(command.assetId), command);
+        return error
+            ? send(res, 400, { success: false, message: error })
+            : send(res, 200, { success: true, commandId: command.commandId });
+    }
+
+    send(res, 404, { success: false, message: 'Not found' });
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock plant API listening on http://localhost:${PORT} (commands apply after ${APPLY_DELAY / 1000}s)`);
+});
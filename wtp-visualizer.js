@@ -2,8 +2,9 @@
  * Water Treatment Plant (WTP) Three.js Visualizer
  *
  * This script loads a .glb model and animates it based on JSON payload data.
- * Expected node naming convention in .glb:
- * - Tanks: RWT, CST, CFT, SCT, CWT, SLT (with _Water suffix for water mesh)
+ * Model nodes are bound to components by wtp-model.bindings.json (or glTF
+ * extras) - see MODEL BINDINGS. Components:
+ * - Tanks: RWT, CST, CFT, SCT, CWT, SLT (with water / sludge meshes)
  * - Pumps: CDP, PPS
  * - Mixers: CFT_Mixer, SCT_Scraper
  * - Pipes: Pipe_RWT_CFT, Pipe_CFT_SCT, etc.
@@ -12,6 +13,8 @@
 
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
+import { MeshoptDecoder } from 'three/addons/libs/meshopt_decoder.module.js';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { CSS2DRenderer, CSS2DObject } from 'three/addons/renderers/CSS2DRenderer.js';
 
@@ -20,8 +23,16 @@ import { CSS2DRenderer, CSS2DObject } from 'three/addons/renderers/CSS2DRenderer
 // ============================================================================
 
 const CONFIG = {
-    modelPath: 'wtp-model.glb', // Path to your .glb model
+    modelPath: 'wtp-model.glb', // Path to your .glb model (DRACO and Meshopt compression are supported) - set by the plant profile
+    bindingsPath: null, // Model binding manifest, defaults to <model>.bindings.json
+    dracoDecoderPath: 'https://unpkg.com/three@0.160.0/examples/jsm/libs/draco/gltf/', // Must match the three.js version
+    alarmRulesPath: 'alarm-rules.json', // Default alarm rule set (plant profile, override with ?alarmRules=<url>)
+    alarmShelveDuration: 60 * 60 * 1000, // How long a shelved alarm stays suppressed
     updateInterval: 3000, // Data update interval in ms
+    simulation: {
+        seed: 1,          // Default process model seed (override with ?seed=)
+        stepSeconds: 30   // Simulated seconds per update - 10x real time
+    },
     animationSpeed: 0.016, // Animation delta time
     colors: {
         cleanWater: 0x4fc3f7,
@@ -37,6 +48,48 @@ const CONFIG = {
     tank: {
         minScale: 0.01,
         maxScale: 1.0
+    },
+    waterQuality: {
+        // Color ramps as [value, color] stops, lowest value first
+        ramps: {
+            realistic: { label: 'Turbidity', unit: 'NTU', stops: [[0, 0x4fc3f7], [100, 0x8d6e63]] },
+            turbidity: { label: 'Turbidity', unit: 'NTU', stops: [[0, 0x2979ff], [1, 0x00e676], [5, 0xffea00], [25, 0xff9100], [100, 0xd50000]] },
+            pH: { label: 'pH', unit: '', stops: [[4, 0xd50000], [6.5, 0xffea00], [7.2, 0x00e676], [8.5, 0x2979ff], [10, 0xaa00ff]] },
+            chlorine: { label: 'Residual Chlorine', unit: 'mg/L', stops: [[0, 0xd50000], [0.2, 0xffea00], [0.5, 0x00e676], [2, 0x2979ff], [4, 0xaa00ff]] }
+        },
+        noDataColor: 0x555555 // Water without the selected metric (analysis mode)
+    },
+    overlay: {
+        // Level overlay: green at target, yellow towards the limits, red beyond them
+        levelSetpoints: {
+            RWT: { low: 20, target: 65, high: 90 },
+            CST: { low: 15, target: 70, high: 100 },
+            CFT: { low: 10, target: 60, high: 95 },
+            SCT: { low: 40, target: 70, high: 95 },
+            CWT: { low: 20, target: 70, high: 95 },
+            SLT: { low: 0, target: 40, high: 90 }
+        },
+        // Run status overlay: status/fault field of each pump or drive
+        runStatus: {
+            CDP: { status: 'Status', fault: 'Fault' },
+            PPS: { status: 'Status', fault: 'Fault' },
+            CFT: { status: 'Mixer_Status' },
+            SCT: { status: 'Scraper_Status' },
+            SLT: { status: 'Pump_Status' }
+        },
+        stoppedColor: 0x607d8b,
+        lateAfter: 15000,     // Data age overlay: yellow after 15 s, red once stale (CONFIG.staleness)
+        dimColor: 0x333333,   // Geometry not relevant to the overlay
+        dimOpacity: 0.15
+    },
+    staleness: {
+        after: 60000,         // A value is stale when it has not been updated for this long (?staleAfter=<seconds>)
+        desaturation: 0.85    // How much color stale water meshes lose
+    },
+    camera: {
+        home: { position: [30, 25, 30], target: [0, 0, 0] }, // Reset View position
+        flyDuration: 1500, // Bookmark fly-to transition in ms
+        tourDwell: 10000   // Time spent at each stage during the guided tour
     }
 };
 
@@ -66,23 +119,26 @@ const animationTargets = {
     flows: {}
 };
 
+// Tank instances per component - set by the plant profile (see PLANT PROFILE)
+let plantInstances = { SCT: 2, CWT: 2 };
+
 // Current plant data
 let plantData = getDefaultPayload();
 
-// Active alarms
+// Alarms shown in the alarm panel (not normal, not shelved) - see ALARM LIFECYCLE
 let activeAlarms = [];
 
-// Simulation mode: 'random' or 'manual'
-let simulationMode = 'random';
+// Simulation mode: 'process' (mass-balance model) or 'manual'
+let simulationMode = 'process';
 
-// Manual control values
-let manualValues = {
-    rwt: { level: 65, ph: 7.2, turbidity: 45 },
-    cft: { level: 55, mixer: true },
-    sct: { level: 70, sludge: 15, scraper: true },
-    cwt: { level: 82, chlorine: 0.8 },
-    pumps: { pump1: true, pump2: false, cdp: true }
-};
+// Manual control values - a full payload edited by the simulation panel
+let manualValues = getDefaultPayload();
+
+// Live data was stopped by startSimulation() and is restarted by stopSimulation()
+let simulationPausedApi = false;
+
+// Live trend history set aside while a simulation runs, so simulated values never mix into it
+let liveHistory = null;
 
 // ============================================================================
 // INITIALIZATION
@@ -101,7 +157,7 @@ function init() {
         0.1,
         1000
     );
-    camera.position.set(30, 25, 30);
+    camera.position.set(...CONFIG.camera.home.position);
 
     // Renderer setup
     renderer = new THREE.WebGLRenderer({ antialias: true });
@@ -136,12 +192,24 @@ function init() {
     const gridHelper = new THREE.GridHelper(100, 50, 0x444444, 0x222222);
     scene.add(gridHelper);
 
-    // Load the model
-    loadModel();
+    // Load the plant profile, then the model and alarm rules it names
+    loadPlantProfile().then(() => {
+        loadModel();
+        loadAlarmRules();
+    });
 
     // Event listeners
     window.addEventListener('resize', onWindowResize);
     setupControls();
+    renderDashboard();
+    setupAlarmPanel();
+    setupAlarmJournal();
+    setupReplay();
+    setupDetailDrawer();
+    setupCommands();
+    applyPermissions();
+    setupStaleness();
+    setupWaterLegend();
 
     // Start animation loop
     animate();
@@ -176,25 +244,99 @@ function setupLighting() {
     scene.add(hemiLight);
 }
 
+// ============================================================================
+// PLANT PROFILE
+// ============================================================================
+
+/**
+ * Apply the plant profile (loaded by api-config.js, see ?profile=): model,
+ * bindings, alarm rules, tank instance counts, process links, expected
+ * bindings, water quality fields and dashboard layout
+ */
+async function loadPlantProfile() {
+    const profile = await window.WTPAPI?.loadProfile?.();
+    if (!profile) return;
+
+    CONFIG.modelPath = profile.model || CONFIG.modelPath;
+    CONFIG.bindingsPath = profile.bindings || null;
+    CONFIG.alarmRulesPath = profile.alarmRules || CONFIG.alarmRulesPath;
+
+    plantInstances = { ...profile.instances };
+    pipeLinkDefs = profile.pipeLinks || PIPE_LINKS;
+    expectedBindings = profile.expectedBindings || EXPECTED_BINDINGS;
+    waterQualityFields = { ...WATER_QUALITY_FIELDS, ...profile.waterQualityFields };
+    plantData = getEmptyPayload();
+    manualValues = getDefaultPayload();
+    renderManualFields();
+
+    dashboardSchema = { ...DASHBOARD_SCHEMA, ...profile.dashboard?.components };
+    renderDashboard();
+    applyDashboardLayout(profile.dashboard);
+    document.title = `${profile.name} Visualization`;
+    console.log(`Plant profile: ${profile.name}`, profile);
+}
+
+/**
+ * Order the dashboard sections as listed in the profile and hide the others
+ */
+function applyDashboardLayout(layout) {
+    if (!Array.isArray(layout?.sections)) return;
+
+    const panel = document.getElementById('info-panel');
+    const sections = [...panel.querySelectorAll('.status-section')];
+
+    sections.forEach(section => {
+        section.style.display = layout.sections.includes(section.id) ? '' : 'none';
+    });
+    layout.sections.forEach(id => {
+        const section = document.getElementById(id);
+        if (section) panel.appendChild(section);
+        else console.warn(`Dashboard layout: no section "${id}"`);
+    });
+}
+
 // ============================================================================
 // MODEL LOADING
 // ============================================================================
 
-function loadModel() {
-    const loader = new GLTFLoader();
+let gltfLoader = null;
+
+/**
+ * GLTF loader with the DRACO and Meshopt decoders for compressed models.
+ * The DRACO decoder is only downloaded when a model actually uses it.
+ */
+function getModelLoader() {
+    if (gltfLoader) return gltfLoader;
+
+    const dracoLoader = new DRACOLoader();
+    dracoLoader.setDecoderPath(CONFIG.dracoDecoderPath);
+
+    gltfLoader = new GLTFLoader();
+    gltfLoader.setDRACOLoader(dracoLoader);
+    gltfLoader.setMeshoptDecoder(MeshoptDecoder);
+    return gltfLoader;
+}
+
+async function loadModel() {
+    showLoadingState();
+    await loadModelBindings();
+
+    const loader = getModelLoader();
 
     loader.load(
         CONFIG.modelPath,
         (gltf) => {
             model = gltf.scene;
+            resetBindingReport();
             model.traverse((child) => {
                 if (child.isMesh) {
                     child.castShadow = true;
                     child.receiveShadow = true;
                 }
-                // Map components by name
+                // Map components through the binding manifest
                 mapComponent(child);
             });
+            validateBindings();
 
             scene.add(model);
 
@@ -215,110 +357,385 @@ function loadModel() {
             // Create labels for components
             createLabels();
 
+            // Make components clickable
+            setupPicking();
+
+            // Attach pipes to process links for the flow animation
+            setupProcessLinks();
+
+            // Stage bookmarks are computed from the component bounding boxes
+            onBookmarksModelReady();
+
             // Hide loading indicator
             document.getElementById('loading').classList.add('hidden');
 
             console.log('Model loaded successfully');
             console.log('Mapped components:', components);
-            console.log('Pumps found:', {
-                CDP: components.pumps.CDP ? 'YES' : 'NO',
-                PPS: components.pumps.PPS ? 'YES' : 'NO'
-            });
+
+            // Tell the user what the model is missing
+            showModelReport(false);
         },
         (progress) => {
-            const percent = (progress.loaded / progress.total * 100).toFixed(0);
+            updateLoadingProgress(progress.loaded, progress.total);
         },
         (error) => {
             console.error('Error loading model:', error);
-            document.getElementById('loading').innerHTML = `
-                <div style="color: #ff5252;">
-                    Error loading model.<br>
-                    Make sure 'wtp-model.glb' exists in the project folder.<br>
-                    <small>${error.message}</small>
-                </div>
-            `;
+            showLoadingError(error);
         }
     );
 }
 
-// Helper function to add tanks to array
-function addToTankArray(key, object) {
-    if (!components.tanks[key]) {
-        components.tanks[key] = [];
+/**
+ * Reset the loading overlay to its initial state (first load and retries)
+ */
+function showLoadingState() {
+    document.getElementById('loading').classList.remove('hidden', 'error');
+    document.getElementById('loading-text').textContent = 'Loading Water Treatment Plant...';
+    updateLoadingProgress(0, 0);
+}
+
+function updateLoadingProgress(loaded, total) {
+    const bar = document.getElementById('loading-bar');
+    const detail = document.getElementById('loading-detail');
+    const megabytes = bytes => (bytes / (1024 * 1024)).toFixed(1);
+
+    // Servers without Content-Length (e.g. gzip on the fly) give no total
+    if (total > 0) {
+        const percent = Math.min(100, (loaded / total) * 100);
+        bar.style.width = `${percent.toFixed(0)}%`;
+        bar.classList.remove('indeterminate');
+        detail.textContent = `${percent.toFixed(0)}% (${megabytes(loaded)} / ${megabytes(total)} MB)`;
+    } else {
+        bar.style.width = '';
+        bar.classList.toggle('indeterminate', loaded > 0);
+        detail.textContent = loaded > 0 ? `${megabytes(loaded)} MB` : '';
     }
-    components.tanks[key].push(object);
 }
 
-function mapComponent(object) {
-    const name = object.name.toUpperCase();
+function showLoadingError(error) {
+    document.getElementById('loading').classList.add('error');
+    document.getElementById('loading-text').textContent = 'Error loading model.';
+    document.getElementById('loading-detail').textContent =
+        `Make sure '${CONFIG.modelPath}' exists in the project folder. ${error?.message || ''}`;
+}
 
-    // Tanks - store all as arrays for multiple instances support
-    if (name.includes('RECBRINE_TANK_TANK')) {
-        if (name.includes('WATER')) {
-            addToTankArray('RWT_Water', object);
-        } else {
-            addToTankArray('RWT', object);
-        }
+// ============================================================================
+// MODEL BINDINGS
+// ============================================================================
+
+const BINDING_ROLES = ['tank', 'water', 'sludge', 'mixer', 'scraper', 'pump', 'filter', 'pipe'];
+
+// Used when the binding manifest cannot be loaded - the one shipped for the
+// original Blender model, so its node names are defined in a single place
+const FALLBACK_BINDINGS_PATH = 'wtp-model.bindings.json';
+
+// What the visualizer needs from the model. CST and SLT water is generated, so not expected.
+// Tanks, water meshes and scrapers of instanced components are expected once per instance.
+const EXPECTED_BINDINGS = [
+    { component: 'RWT', role: 'tank' },
+    { component: 'CST', role: 'tank' },
+    { component: 'CFT', role: 'tank' },
+    { component: 'SCT', role: 'tank' },
+    { component: 'CWT', role: 'tank' },
+    { component: 'SLT', role: 'tank' },
+    { component: 'RWT', role: 'water' },
+    { component: 'CFT', role: 'water' },
+    { component: 'SCT', role: 'water' },
+    { component: 'CWT', role: 'water' },
+    { component: 'CFT', role: 'mixer' },
+    { component: 'SCT', role: 'scraper' },
+    { component: 'CDP', role: 'pump' },
+    { component: 'PPS', role: 'pump' },
+    { component: 'FTR', role: 'filter' },
+    { component: null, role: 'pipe' }
+];
+
+// Active expectations - the profile's expectedBindings replace the defaults
+let expectedBindings = EXPECTED_BINDINGS;
+
+let modelBindings = [];
+let modelBindingsSource = 'none';
+let bindingReport = null;
+
+/**
+ * Fetch and validate a binding manifest (an array, or { bindings: [...] })
+ */
+async function fetchModelBindings(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
     }
-    // if (name.includes('REGTANKS_TANK_TANK')) {
-    //     if (name.includes('WATER') || name.includes('CHEMICAL')) {
-    //         addToTankArray('CST_Water', object);
-    //     } else {
-    //         addToTankArray('CST', object);
-    //     }
-    // }
-    if (name.includes('WASTEBRINE_TANK')) {
-        if (name.includes('WATER')) {
-            addToTankArray('CFT_Water', object);
-        } else if (name.includes('MIXER')) {
-            components.mixers.CFT_Mixer = object;
-        } else {
-            addToTankArray('CFT', object);
-        }
+    const json = await response.json();
+    const bindings = Array.isArray(json) ? json : json.bindings;
+    if (!Array.isArray(bindings)) {
+        throw new Error('Manifest has no "bindings" array');
     }
-    if (name.includes('REGTANKS_TANK_TANK')) {
-        if (name.includes('WATER')) {
-            addToTankArray('SCT_Water', object);
-        } else if (name.includes('SCRAPER')) {
-            components.mixers.SCT_Scraper = object;
-        } else if (name.includes('SLUDGE')) {
-            addToTankArray('SCT_Sludge', object);
-        } else {
-            addToTankArray('SCT', object);
+
+    return bindings.filter(binding => {
+        const valid = BINDING_ROLES.includes(binding.role)
+            && (binding.node || binding.path || binding.match)
+            && (binding.component || binding.role === 'pipe');
+        if (!valid) console.warn('Skipping invalid model binding:', binding);
+        return valid;
+    });
+}
+
+/**
+ * Load the binding manifest: ?bindings=<url>, otherwise the .bindings.json next to the model.
+ * Falls back to the shipped manifest, then to the glTF extras alone.
+ */
+async function loadModelBindings() {
+    const urlParams = new URLSearchParams(window.location.search);
+    const url = urlParams.get('bindings') || CONFIG.bindingsPath || CONFIG.modelPath.replace(/\.glb$/i, '.bindings.json');
+    const urls = url === FALLBACK_BINDINGS_PATH ? [url] : [url, FALLBACK_BINDINGS_PATH];
+
+    for (const candidate of urls) {
+        try {
+            modelBindings = await fetchModelBindings(candidate);
+            modelBindingsSource = candidate;
+            return;
+        } catch (error) {
+            console.warn(`Could not load model bindings from ${candidate}:`, error);
         }
     }
-    if (name.includes('SATTANK_TANK_TANK')) {
-        if (name.includes('WATER')) {
-            addToTankArray('CWT_Water', object);
-        } else {
-            addToTankArray('CWT', object);
-        }
+
+    console.warn('No model binding manifest, only glTF extras bind nodes');
+    modelBindings = [];
+    modelBindingsSource = 'none';
+}
+
+/**
+ * Node path from the model root, e.g. 'Plant/Tanks/RWT_Water'
+ */
+function getNodePath(object) {
+    const names = [];
+    for (let o = object; o && o !== model; o = o.parent) names.unshift(o.name);
+    return names.join('/');
+}
+
+/**
+ * First binding for a node. glTF extras (wtpComponent / wtpRole) win over the manifest.
+ * node: exact node name, path: node path (or its tail), match: substring(s) of the name
+ */
+function findBinding(object) {
+    const { wtpComponent, wtpRole, wtpIndex, wtpLink } = object.userData;
+    if (wtpRole) {
+        return { component: wtpComponent, role: wtpRole, index: wtpIndex, link: wtpLink, source: 'extras' };
     }
-    if (name.includes('RESINTANK_TANK')) {
-        if (name.includes('WATER') || name.includes('SLUDGE')) {
-            addToTankArray('SLT_Water', object);
-        } else {
-            addToTankArray('SLT', object);
-        }
+
+    const name = object.name.toUpperCase();
+    const path = getNodePath(object);
+
+    return modelBindings.find(binding => {
+        if (binding.node) return binding.node === object.name;
+        if (binding.path) return path === binding.path || path.endsWith(`/${binding.path}`);
+        const parts = Array.isArray(binding.match) ? binding.match : [binding.match];
+        return parts.every(part => name.includes(part.toUpperCase()));
+    });
+}
+
+/**
+ * Store a bound node in the component registry
+ */
+function bindComponent(object, binding) {
+    const { component, role, index } = binding;
+    const place = (list, obj) => {
+        if (Number.isInteger(index)) list[index] = obj;
+        else list.push(obj);
+        return list;
+    };
+
+    switch (role) {
+        case 'tank':
+            components.tanks[component] = place(components.tanks[component] || [], object);
+            break;
+        case 'water':
+            components.tanks[`${component}_Water`] = place(components.tanks[`${component}_Water`] || [], object);
+            break;
+        case 'sludge':
+            components.tanks[`${component}_Sludge`] = place(components.tanks[`${component}_Sludge`] || [], object);
+            break;
+        case 'mixer':
+            components.mixers[`${component}_Mixer`] = object;
+            break;
+        case 'scraper':
+            // One scraper per tank, in the same order as the tanks
+            components.mixers[`${component}_Scraper`] = place(components.mixers[`${component}_Scraper`] || [], object);
+            break;
+        case 'pump':
+            components.pumps[component] = object;
+            break;
+        case 'filter':
+            components.filters[component] = object;
+            break;
+        case 'pipe':
+            if (binding.link) object.userData.wtpLink = binding.link;
+            components.pipes[object.name.toUpperCase()] = object;
+            break;
     }
+}
 
-    // Pumps
-    if (name.includes('CDP') || name.includes('PUMP2_')) {
-        components.pumps.CDP = object;
+function mapComponent(object) {
+    const binding = findBinding(object);
+    if (binding) {
+        bindComponent(object, binding);
+        bindingReport.bound.set(binding, (bindingReport.bound.get(binding) || 0) + 1);
+    } else if (object.isMesh && !bindingReport.boundMeshes.has(object)) {
+        bindingReport.unboundMeshes.push(object.name || '(unnamed)');
     }
-    if (name.includes('PUMP1_') || name.includes('PPS')) {
-        components.pumps.PPS = object;
+
+    // Meshes inside a bound node belong to it
+    if (binding) {
+        object.traverse(child => {
+            if (child.isMesh) bindingReport.boundMeshes.add(child);
+        });
     }
+}
 
-    // Filters
-    if (name.includes('FTR') || name.includes('FILTER')) {
-        components.filters.FTR = object;
+function resetBindingReport() {
+    bindingReport = {
+        source: modelBindingsSource,
+        bound: new Map(),           // binding -> number of nodes it bound
+        boundMeshes: new Set(),
+        unboundMeshes: []
+    };
+}
+
+/**
+ * Compare the bound components with the expected bindings and log what is missing
+ */
+function validateBindings() {
+    const countRole = (component, role) => {
+        switch (role) {
+            case 'tank': return getInstances(components.tanks[component]).length;
+            case 'water': return getInstances(components.tanks[`${component}_Water`]).length;
+            case 'sludge': return getInstances(components.tanks[`${component}_Sludge`]).length;
+            case 'mixer': return components.mixers[`${component}_Mixer`] ? 1 : 0;
+            case 'scraper': return getInstances(components.mixers[`${component}_Scraper`]).length;
+            case 'pump': return components.pumps[component] ? 1 : 0;
+            case 'filter': return components.filters[component] ? 1 : 0;
+            case 'pipe': return Object.keys(components.pipes).length;
+            default: return 0;
+        }
+    };
+
+    const coverage = expectedBindings.map(({ component, role, count = 1 }) => ({
+        component,
+        role,
+        expected: ['tank', 'water', 'scraper'].includes(role) ? plantInstances[component] ?? count : count,
+        found: countRole(component, role)
+    }));
+
+    const report = {
+        source: bindingReport.source,
+        components: coverage,
+        unboundComponents: coverage.filter(c => c.found < c.expected),
+        // Only exact node/path bindings name a node - match patterns may legitimately match nothing
+        missingNodes: modelBindings.filter(binding => (binding.node || binding.path) && !bindingReport.bound.has(binding)),
+        unboundMeshes: bindingReport.unboundMeshes
+    };
+    bindingReport = report;
+
+    console.group(`Model bindings (${report.source})`);
+    report.unboundComponents.forEach(({ component, role, expected, found }) => {
+        console.warn(`Unbound: ${component ? `${component} ` : ''}${role} - expected ${expected}, found ${found}`);
+    });
+    report.missingNodes.forEach(binding => {
+        console.warn('Expected node not found in model:', binding.node || binding.path);
+    });
+    if (report.unboundMeshes.length > 0) {
+        console.info(`${report.unboundMeshes.length} meshes are not bound to a component`);
     }
+    console.groupEnd();
+
+    return report;
+}
+
+// ============================================================================
+// MODEL REPORT
+// ============================================================================
+
+const MODEL_REPORT_GROUPS = [
+    { label: 'Tanks', roles: ['tank'] },
+    { label: 'Water Meshes', roles: ['water'] },
+    { label: 'Pumps', roles: ['pump'] },
+    { label: 'Mixers & Scrapers', roles: ['mixer', 'scraper'] },
+    { label: 'Filters', roles: ['filter'] }
+];
+
+// What the operator loses when a binding is missing
+const MISSING_EFFECTS = {
+    tank: c => `${c}: no glass tank, alarm highlight or click-to-inspect`,
+    water: c => `${c}: level not shown in 3D`,
+    mixer: c => `${c}: mixer not animated`,
+    scraper: c => `${c}: scraper not animated`,
+    pump: c => `${c}: run/fault status not shown in 3D`,
+    filter: c => `${c}: alarm highlight not shown in 3D`,
+    pipe: () => 'No pipes: flow animation not shown'
+};
+
+/**
+ * What was found in the model and which data will not be visible as a result
+ */
+function getModelReport() {
+    if (!bindingReport?.components) return null;
 
-    // Pipes
-    if (name.includes('PIPE')) {
-        components.pipes[name] = object;
+    const pipeCount = Object.keys(components.pipes).length;
+    const effects = bindingReport.unboundComponents.map(({ component, role }) => MISSING_EFFECTS[role](component));
+    if (pipeCount > 0 && pipeLinks.size < pipeCount) {
+        effects.push(`${pipeCount - pipeLinks.size} of ${pipeCount} pipes have no process link: no flow animation`);
     }
+
+    return {
+        source: bindingReport.source,
+        groups: MODEL_REPORT_GROUPS.map(({ label, roles }) => ({
+            label,
+            items: bindingReport.components.filter(c => roles.includes(c.role))
+        })),
+        pipes: { found: pipeCount, linked: pipeLinks.size },
+        effects,
+        unboundMeshes: bindingReport.unboundMeshes.length
+    };
+}
+
+/**
+ * Show the model report. After loading it only opens when something is missing.
+ */
+function showModelReport(always = true) {
+    const panel = document.getElementById('model-report');
+    const report = getModelReport();
+    if (!panel || !report) return;
+    if (!always && report.effects.length === 0) return;
+
+    const item = ({ component, role, expected, found }) => `
+        <div class="status-item">
+            <span class="label">${escapeHtml(component || '')} ${escapeHtml(role)}${expected > 1 ? ` ×${expected}` : ''}</span>
+            <span class="value ${found >= expected ? 'ok' : 'alarm'}">${found >= expected ? '✓' : '✗'} ${found}/${expected}</span>
+        </div>
+    `;
+
+    const body = document.getElementById('model-report-body');
+    body.innerHTML = `
+        <div class="model-report-source"></div>
+        ${report.groups.map(group => `<h5>${escapeHtml(group.label)}</h5>${group.items.map(item).join('')}`).join('')}
+        <h5>Pipes</h5>
+        <div class="status-item">
+            <span class="label">Found / linked to a process stage</span>
+            <span class="value ${report.pipes.found > 0 && report.pipes.linked === report.pipes.found ? 'ok' : 'alarm'}">${report.pipes.found} / ${report.pipes.linked}</span>
+        </div>
+        <h5>Not shown in 3D</h5>
+        ${report.effects.length
+            ? report.effects.map(effect => `<div class="model-report-effect">${escapeHtml(effect)}</div>`).join('')
+            : '<div class="detail-empty">Everything expected was found</div>'}
+        ${report.unboundMeshes > 0 ? `<div class="detail-empty">${report.unboundMeshes} meshes are not bound to a component</div>` : ''}
+    `;
+    // The source is the ?bindings= URL
+    body.querySelector('.model-report-source').textContent = `Bindings: ${report.source}`;
+    panel.classList.add('active');
+}
+
+function hideModelReport() {
+    document.getElementById('model-report')?.classList.remove('active');
 }
 
 // ============================================================================
@@ -805,6 +1222,7 @@ function animate() {
     const delta = Math.min(clock.getDelta(), 0.1); // Clamp delta to max 100ms to prevent huge jumps when tab is inactive
 
     // Update controls
+    updateCameraFlight();
     controls.update();
 
     // Update animations
@@ -813,6 +1231,8 @@ function animate() {
     updatePumps(delta);
     updatePipeFlows(delta);
     updateAlarmEffects(delta);
+    updateOverlay();
+    updateHover();
 
     // Render
     renderer.render(scene, camera);
@@ -839,7 +1259,7 @@ function updateTankLevels(delta) {
             if (waterMeshArray && Array.isArray(waterMeshArray)) {
                 data.forEach((tankData, index) => {
                     const waterMesh = waterMeshArray[index];
-                    if (waterMesh && tankData?.Level !== undefined) {
+                    if (waterMesh && Number.isFinite(tankData?.Level)) {
                         const levelData = tankData.Level;
                         const originalScaleY = waterMesh.userData.originalScaleY || 1.0;
                         const levelScale = CONFIG.tank.minScale + (levelData / 100) * (CONFIG.tank.maxScale - CONFIG.tank.minScale);
@@ -871,7 +1291,7 @@ function updateTankLevels(delta) {
             const coneMesh = components.tanks[water + '_Cone'];
             const cylinderMesh = components.tanks[water + '_Cylinder'];
 
-            if (coneMesh && cylinderMesh && data !== undefined) {
+            if (coneMesh && cylinderMesh && Number.isFinite(data)) {
                 const levelPercent = data;  // 0-100
 
                 // Assume cone is 33% of total height, cylinder is 67%
@@ -1036,7 +1456,7 @@ function updateTankLevels(delta) {
         } else if (key === 'CFT' || key === 'RWT' || key === 'SCT' || key === 'CWT') {
             // CFT tank: Handle multiple water meshes as array
             const waterMeshArray = components.tanks[water];
-            if (waterMeshArray && Array.isArray(waterMeshArray) && data !== undefined) {
+            if (waterMeshArray && Array.isArray(waterMeshArray) && Number.isFinite(data)) {
                 waterMeshArray.forEach((waterMesh, index) => {
                     // Get original scale as reference
                     const originalScaleY = waterMesh.userData.originalScaleY || 1.0;
@@ -1071,7 +1491,7 @@ function updateTankLevels(delta) {
 
         // Normal tank processing - handle arrays
         const waterMeshArray = components.tanks[water];
-        if (waterMeshArray && data !== undefined) {
+        if (waterMeshArray && Number.isFinite(data)) {
             const waterMeshes = Array.isArray(waterMeshArray) ? waterMeshArray : [waterMeshArray];
 
             waterMeshes.forEach((waterMesh, index) => {
@@ -1110,35 +1530,8 @@ function updateTankLevels(delta) {
 }
 
 function updateWaterColors() {
-    // Raw water tank - brown based on turbidity
-    const rwtWater = components.tanks.RWT_Water;
-    if (rwtWater && rwtWater.material) {
-        const turbidity = plantData.RWT?.Turbidity || 0;
-        const color = new THREE.Color().lerpColors(
-            new THREE.Color(CONFIG.colors.cleanWater),
-            new THREE.Color(CONFIG.colors.rawWater),
-            Math.min(turbidity / 100, 1)
-        );
-        rwtWater.material.color = color;
-        rwtWater.material.opacity = 0.7;
-        rwtWater.material.transparent = true;
-    }
-
-    // Clean water tank - blue
-    const cwtWater = components.tanks.CWT_Water;
-    if (cwtWater && cwtWater.material) {
-        cwtWater.material.color = new THREE.Color(CONFIG.colors.cleanWater);
-        cwtWater.material.opacity = 0.7;
-        cwtWater.material.transparent = true;
-    }
-
-    // Sludge tank - brown
-    const sltWater = components.tanks.SLT_Water;
-    if (sltWater && sltWater.material) {
-        sltWater.material.color = new THREE.Color(CONFIG.colors.sludge);
-        sltWater.material.opacity = 0.8;
-        sltWater.material.transparent = true;
-    }
+    // Turbidity tint (realistic) or false-color analysis - see WATER QUALITY COLORS
+    applyWaterQualityColors();
 }
 
 function updateMixers(delta) {
@@ -1148,11 +1541,14 @@ function updateMixers(delta) {
         cftMixer.rotation.y += delta * 2; // Rotate when mixer is on
     }
 
-    // SCT Scraper rotation
-    const sctScraper = components.mixers.SCT_Scraper;
-    if (sctScraper && plantData.SCT?.Scraper_Status) {
-        sctScraper.rotation.y += delta * 0.5; // Slower rotation for scraper
-    }
+    // SCT Scraper rotation - each scraper follows its own tank
+    const sctScrapers = components.mixers.SCT_Scraper || [];
+    const sctData = getInstances(plantData.SCT);
+    sctScrapers.forEach((scraper, index) => {
+        if (sctData[index]?.Scraper_Status) {
+            scraper.rotation.y += delta * 0.5; // Slower rotation for scraper
+        }
+    });
 }
 
 function updatePumps(delta) {
@@ -1253,25 +1649,42 @@ function setPumpColor(pump, isOn, hasFault, time) {
 }
 
 function updatePipeFlows(delta) {
-    // Animate pipe materials to show flow
-    const flowRate = plantData.PPS?.Flow_Rate || 0;
     const time = clock.getElapsedTime();
 
-    Object.values(components.pipes).forEach(pipe => {
-        if (pipe.material && flowRate > 0) {
+    // Move each link's particles along its pipe at a speed set by the link's rate
+    pipeLinks.forEach(entry => {
+        const { speed } = getLinkFlow(entry.link);
+        const flowing = speed > 0;
+
+        entry.points.visible = flowing;
+        if (flowing) {
+            entry.phase = (entry.phase + (delta * FLOW_PARTICLES.speed * speed) / entry.length) % 1;
+
+            const positions = entry.points.geometry.attributes.position;
+            const point = new THREE.Vector3();
+            for (let i = 0; i < positions.count; i++) {
+                point.lerpVectors(entry.start, entry.end, (i / positions.count + entry.phase) % 1);
+                positions.setXYZ(i, point.x, point.y, point.z);
+            }
+            positions.needsUpdate = true;
+        }
+
+        entry.object.traverse(pipe => {
+            if (!pipe.isMesh || !pipe.material) return;
             // Clone material on first use so shared materials on other objects are not affected
             if (!pipe.userData.pipeMaterialCloned) {
                 pipe.material = pipe.material.clone();
                 pipe.userData.pipeMaterialCloned = true;
             }
-            // Create flowing effect using texture offset or color pulse
+            // Scroll textured pipes as well
             if (pipe.material.map) {
-                pipe.material.map.offset.x += delta * flowRate * 0.01;
+                pipe.material.map.offset.x += delta * speed * FLOW_PARTICLES.speed * 0.1;
             }
-            // Pulse effect for pipes
-            pipe.material.emissive = new THREE.Color(CONFIG.colors.cleanWater);
-            pipe.material.emissiveIntensity = 0.1 + Math.sin(time * 3) * 0.05;
-        }
+            if (pipe.material.emissive) {
+                pipe.material.emissive.set(CONFIG.colors[entry.link.color]);
+                pipe.material.emissiveIntensity = flowing ? 0.1 + Math.sin(time * 3) * 0.05 : 0;
+            }
+        });
     });
 }
 
@@ -1279,93 +1692,50 @@ function updateAlarmEffects(delta) {
     const time = clock.getElapsedTime();
     const alarmPulse = Math.sin(time * 5) > 0;
 
-    // Check for alarms and update visual effects
-    activeAlarms = [];
-
-    // RWT alarms - use API alarm flags
-    if (plantData.RWT) {
-        if (plantData.RWT.High_Level_Alarm) {
-            activeAlarms.push('RWT High Level');
-            pulseComponent(components.tanks.RWT, true);  // Solid red for high
-        } else if (plantData.RWT.Low_Level_Alarm) {
-            activeAlarms.push('RWT Low Level');
-            pulseComponent(components.tanks.RWT, alarmPulse);  // Blinking for low
-        } else {
-            pulseComponent(components.tanks.RWT, false);  // Normal - reset color
-        }
-    }
-
-    // CST alarms - use API alarm flags
-    if (plantData.CST) {
-        if (plantData.CST.Low_Level_Alarm) {
-            activeAlarms.push('CST Low Level');
-            pulseComponent(components.tanks.CST, alarmPulse);  // Blinking for low
-        } else {
-            pulseComponent(components.tanks.CST, false);  // Normal - reset color
-        }
-    }
-
-    // CFT alarms - no alarm flags in API, so skip visual alarms
-    pulseComponent(components.tanks.CFT, false);
-
-    // SCT alarms - no alarm flags in API, so skip visual alarms
-    if (Array.isArray(plantData.SCT)) {
-        plantData.SCT.forEach((tankData, index) => {
-            const tankArray = components.tanks.SCT;
-            if (tankArray && tankArray[index]) {
-                pulseComponent([tankArray[index]], false);
-            }
-        });
-    }
-
-    // CWT alarms (array of 2 tanks) - use API alarm flags
-    if (Array.isArray(plantData.CWT)) {
-        plantData.CWT.forEach((tankData, index) => {
-            const tankArray = components.tanks.CWT;
-            if (tankData && tankArray && tankArray[index]) {
-                if (tankData.High_Level_Alarm) {
-                    activeAlarms.push(`CWT ${index + 1} High Level`);
-                    pulseComponent([tankArray[index]], true);  // Solid red for high
-                } else if (tankData.Low_Level_Alarm) {
-                    activeAlarms.push(`CWT ${index + 1} Low Level`);
-                    pulseComponent([tankArray[index]], alarmPulse);  // Blinking for low
-                } else {
-                    pulseComponent([tankArray[index]], false);  // Normal - reset color
-                }
+    // Pick the most severe active alarm for every 3D object it targets
+    const targetAlarms = new Map();
+    activeAlarms.forEach(alarm => {
+        if (alarm.pulse === 'none' || !alarm.conditionActive) return;
+        resolveAlarmTargets(alarm.component, alarm.index).forEach(object => {
+            const current = targetAlarms.get(object);
+            if (!current || getSeverityRank(alarm.severity) > getSeverityRank(current.severity)) {
+                targetAlarms.set(object, alarm);
             }
         });
-    }
-
-    // SLT alarms - no alarm flags in API, so skip visual alarms
-    pulseComponent(components.tanks.SLT, false);
-
-    // Pump faults - use API fault flags
-    // NOTE: Don't override pump colors here - let updatePumps() handle normal on/off colors
-    // Only add to alarm list, visual effects handled by updatePumps()
-    if (plantData.CDP?.Fault) {
-        activeAlarms.push('CDP Fault');
-    }
+    });
 
-    if (plantData.PPS?.Fault) {
-        activeAlarms.push('PPS Fault');
-    }
+    // Tanks and filters without an active alarm are reset to normal every frame.
+    // NOTE: Pumps are left alone - updatePumps() handles on/off/fault colors
+    const alarmableObjects = [
+        ...ALARM_TANK_KEYS.flatMap(key => components.tanks[key] || []),
+        ...Object.values(components.filters)
+    ];
 
-    // Update alarm panel
-    updateAlarmPanel();
+    alarmableObjects.forEach(object => {
+        const alarm = targetAlarms.get(object);
+        if (!alarm) {
+            pulseSingleComponent(object, false);
+            return;
+        }
+        const color = ALARM_SEVERITIES[alarm.severity]?.color ?? CONFIG.colors.alarm;
+        // Solid for 'solid' rules (e.g. high level) and acknowledged alarms, blinking otherwise
+        const solid = alarm.pulse === 'solid' || alarm.acked;
+        pulseSingleComponent(object, solid ? true : alarmPulse, color);
+    });
 }
 
-function pulseComponent(component, pulse) {
+function pulseComponent(component, pulse, color = CONFIG.colors.alarm) {
     if (!component) return;
 
     // Handle arrays of components (for tanks with multiple instances)
     if (Array.isArray(component)) {
-        component.forEach(comp => pulseSingleComponent(comp, pulse));
+        component.forEach(comp => pulseSingleComponent(comp, pulse, color));
     } else {
-        pulseSingleComponent(component, pulse);
+        pulseSingleComponent(component, pulse, color);
     }
 }
 
-function pulseSingleComponent(component, pulse) {
+function pulseSingleComponent(component, pulse, color = CONFIG.colors.alarm) {
     if (component) {
         // Traverse the component to find all meshes
         component.traverse((child) => {
@@ -1374,7 +1744,7 @@ function pulseSingleComponent(component, pulse) {
                 const materials = Array.isArray(child.material) ? child.material : [child.material];
                 materials.forEach(mat => {
                     if (mat.emissive !== undefined) {
-                        mat.emissive = new THREE.Color(pulse ? CONFIG.colors.alarm : 0x000000);
+                        mat.emissive = new THREE.Color(pulse ? color : 0x000000);
                         mat.emissiveIntensity = pulse ? 0.5 : 0;
                     }
                 });
@@ -1386,342 +1756,3457 @@ function pulseSingleComponent(component, pulse) {
 function updateAlarmPanel() {
     const panel = document.getElementById('alarm-panel');
     const list = document.getElementById('alarm-list');
+    if (!panel || !list) return;
 
-    if (activeAlarms.length > 0) {
+    const shelvedCount = [...alarmRecords.values()].filter(r => r.state === ALARM_STATES.SHELVED).length;
+    const canAck = can('alarms.acknowledge');
+
+    if (activeAlarms.length > 0 || shelvedCount > 0) {
         panel.classList.add('active');
-        list.innerHTML = activeAlarms.map(a => `<div>- ${a}</div>`).join('');
+        panel.classList.toggle('unacked', activeAlarms.some(a => !a.acked));
+
+        const rows = [...activeAlarms]
+            .sort((a, b) => getSeverityRank(b.severity) - getSeverityRank(a.severity) || b.firstSeen - a.firstSeen)
+            .map(a => `
+                <div class="alarm-item severity-${escapeHtml(a.severity)} state-${a.state}">
+                    <span class="alarm-name" title="First seen ${formatAlarmTime(a.firstSeen)}${a.clearedAt ? `, cleared ${formatAlarmTime(a.clearedAt)}` : ''}">
+                        ${escapeHtml(a.name)}
+                    </span>
+                    <span class="alarm-time">${formatAlarmTime(a.firstSeen)}</span>
+                    <span class="alarm-state">${ALARM_STATE_LABELS[a.state]}</span>
+                    ${a.acked || !canAck ? '' : `<button data-action="ack" data-id="${escapeHtml(a.id)}">Ack</button>`}
+                    ${canAck ? `<button data-action="shelve" data-id="${escapeHtml(a.id)}">Shelve</button>` : ''}
+                </div>
+            `)
+            .join('');
+
+        list.innerHTML = rows + (shelvedCount > 0
+            ? `<div class="alarm-shelved">${shelvedCount} shelved${canAck ? ' <button data-action="unshelve-all">Unshelve all</button>' : ''}</div>`
+            : '');
     } else {
-        panel.classList.remove('active');
+        panel.classList.remove('active', 'unacked');
+        list.innerHTML = '';
     }
 }
 
 // ============================================================================
-// DATA HANDLING
+// WATER QUALITY COLORS
 // ============================================================================
 
-function getDefaultPayload() {
-    return {
-        RWT: {
-            Level: 65,
-            High_Level_Alarm: false,
-            Low_Level_Alarm: false,
-            Inflow_Rate: 120,
-            Outflow_Rate: 115,
-            pH: 7.2,
-            Turbidity: 45
-        },
-        CDP: {
-            Status: true,
-            Mode: 'AUTO',
-            Dosing_Rate: 5.5,
-            Total_Chemical_Used: 1250,
-            Pressure: 2.5,
-            Fault: false
-        },
-        CST: {
-            Level: 78,
-            Low_Level_Alarm: false
-        },
-        CFT: {
-            Level: 55,
-            Mixer_Status: true,
-            pH: 6.8,
-            Turbidity: 25,
-            Dosing_Rate: 3.2
-        },
-        // SCT has 2 tanks
-        SCT: [
-            { Level: 70, Sludge_Level: 15, Turbidity_Outlet: 8, Scraper_Status: true },
-            { Level: 68, Sludge_Level: 12, Turbidity_Outlet: 7, Scraper_Status: true }
-        ],
-        FTR: {
-            Differential_Pressure: 0.8,
-            Flow_Rate: 95,
-            Backwash_Status: false
-        },
-        // CWT has 2 tanks
-        CWT: [
-            { Level: 82, pH: 7.0, Turbidity: 0.5, Residual_Chlorine: 0.8},
-            { Level: 80, pH: 7.1, Turbidity: 0.4, Residual_Chlorine: 0.7}
-        ],
-        SLT: {
-            Level: 35,
-            Pump_Status: false
-        },
-        PPS: {
-            Status: true,
-            Mode: 'AUTO',
-            Flow_Rate: 110,
-            Outlet_Pressure: 3.2,
-            Fault: false
-        },
-        PLT: {
-            Total_Inflow: 120,
-            Total_Outflow: 115,
-            System_Mode: 'AUTO',
-            Alarm_Status: false
+// Quality field per water mesh and metric. '*' is the tank instance index.
+// Water meshes without a field for the metric are dimmed in analysis mode.
+const WATER_QUALITY_FIELDS = {
+    RWT_Water: { turbidity: 'RWT.Turbidity', pH: 'RWT.pH' },
+    CFT_Water: { turbidity: 'CFT.Turbidity', pH: 'CFT.pH' },
+    SCT_Water: { turbidity: 'SCT.*.Turbidity_Outlet' },
+    CWT_Water: { turbidity: 'CWT.*.Turbidity', pH: 'CWT.*.pH', chlorine: 'CWT.*.Residual_Chlorine' }
+};
+
+// Active fields - the profile's waterQualityFields replace the entries per water mesh
+let waterQualityFields = WATER_QUALITY_FIELDS;
+
+// Water meshes with a fixed color in realistic mode
+const WATER_FIXED_COLORS = {
+    CST_Water: 'chemical',
+    SCT_Sludge: 'sludge',
+    SLT_Water: 'sludge',
+    SLT_Water_Cone: 'sludge',
+    SLT_Water_Cylinder: 'sludge'
+};
+
+const WATER_COLOR_MODES = {
+    realistic: { label: 'Realistic', metric: 'turbidity', ramp: 'realistic' },
+    turbidity: { label: 'False Color: Turbidity', metric: 'turbidity', ramp: 'turbidity' },
+    pH: { label: 'False Color: pH', metric: 'pH', ramp: 'pH' },
+    chlorine: { label: 'False Color: Chlorine', metric: 'chlorine', ramp: 'chlorine' }
+};
+
+let waterColorMode = 'realistic';
+
+/**
+ * Color of a value on a ramp, interpolated between the surrounding stops
+ */
+function sampleColorRamp(ramp, value) {
+    const { stops } = ramp;
+    if (value <= stops[0][0]) return new THREE.Color(stops[0][1]);
+
+    for (let i = 1; i < stops.length; i++) {
+        const [v1, c1] = stops[i];
+        if (value <= v1) {
+            const [v0, c0] = stops[i - 1];
+            return new THREE.Color(c0).lerp(new THREE.Color(c1), (value - v0) / (v1 - v0));
         }
-    };
+    }
+    return new THREE.Color(stops[stops.length - 1][1]);
+}
+
+function setWaterMaterial(mesh, color, opacity) {
+    if (!mesh?.material) return;
+    mesh.material.color.copy(color);
+    mesh.material.emissive?.copy(color);
+    mesh.material.opacity = opacity;
+    mesh.material.transparent = true;
 }
 
 /**
- * Update plant data from external JSON payload
+ * Color every water mesh instance for the active mode - called every frame
+ */
+function applyWaterQualityColors() {
+    const mode = WATER_COLOR_MODES[waterColorMode];
+    const ramp = CONFIG.waterQuality.ramps[mode.ramp];
+    const analysis = waterColorMode !== 'realistic';
+
+    Object.entries(waterQualityFields).forEach(([key, fields]) => {
+        const field = fields[mode.metric];
+        const values = field ? resolveRuleField(plantData, field) : [];
+
+        const component = key.split('_')[0];
+        getInstances(components.tanks[key]).forEach((mesh, index) => {
+            // Single-instance fields apply to every mesh of the tank
+            const value = (values.find(v => v.index === index) ?? (values[0]?.index === null ? values[0] : null))?.value;
+            const instance = component in plantInstances ? index : null;
+
+            if (typeof value === 'number') {
+                setWaterMaterial(mesh, desaturateIfStale(sampleColorRamp(ramp, value), component, instance), 0.7);
+            } else if (analysis) {
+                setWaterMaterial(mesh, new THREE.Color(CONFIG.waterQuality.noDataColor), 0.25);
+            } else {
+                const color = new THREE.Color(key === 'RWT_Water' ? CONFIG.colors.rawWater : CONFIG.colors.cleanWater);
+                setWaterMaterial(mesh, desaturateIfStale(color, component, instance), 0.7);
+            }
+        });
+    });
+
+    Object.entries(WATER_FIXED_COLORS).forEach(([key, colorName]) => {
+        const component = key.split('_')[0];
+        getInstances(components.tanks[key]).forEach((mesh, index) => {
+            const instance = component in plantInstances ? index : null;
+            if (analysis) setWaterMaterial(mesh, new THREE.Color(CONFIG.waterQuality.noDataColor), 0.25);
+            else setWaterMaterial(mesh, desaturateIfStale(new THREE.Color(CONFIG.colors[colorName]), component, instance), 0.8);
+        });
+    });
+}
+
+function setWaterColorMode(mode) {
+    if (!WATER_COLOR_MODES[mode]) {
+        console.warn(`Unknown water color mode: ${mode}`);
+        return;
+    }
+    waterColorMode = mode;
+    updateWaterLegend();
+}
+
+/**
+ * Legend overlay: gradient of the active ramp with its value labels
+ */
+function updateWaterLegend() {
+    const mode = WATER_COLOR_MODES[waterColorMode];
+    const ramp = CONFIG.waterQuality.ramps[mode.ramp];
+    const select = document.getElementById('water-color-mode');
+    if (select) select.value = waterColorMode;
+
+    const min = ramp.stops[0][0];
+    const max = ramp.stops[ramp.stops.length - 1][0];
+    const toCss = color => `#${new THREE.Color(color).getHexString()}`;
+    const gradient = ramp.stops
+        .map(([value, color]) => `${toCss(color)} ${((value - min) / (max - min)) * 100}%`)
+        .join(', ');
+
+    const bar = document.getElementById('water-legend-bar');
+    if (bar) bar.style.background = `linear-gradient(to right, ${gradient})`;
+
+    const labels = document.getElementById('water-legend-labels');
+    if (labels) {
+        labels.innerHTML = ramp.stops
+            .map(([value]) => `<span style="left: ${((value - min) / (max - min)) * 100}%">${value}</span>`)
+            .join('');
+    }
+
+    const title = document.getElementById('water-legend-title');
+    if (title) title.textContent = `${ramp.label}${ramp.unit ? ` (${ramp.unit})` : ''}`;
+}
+
+function setupWaterLegend() {
+    const select = document.getElementById('water-color-mode');
+    if (!select) return;
+
+    select.innerHTML = Object.entries(WATER_COLOR_MODES)
+        .map(([mode, { label }]) => `<option value="${mode}">${label}</option>`)
+        .join('');
+    select.addEventListener('change', () => setWaterColorMode(select.value));
+    updateWaterLegend();
+}
+
+// ============================================================================
+// DATA STALENESS
+// ============================================================================
+
+// plantData field path ('CWT.1.Level') -> time its last non-empty value arrived
+const fieldUpdatedAt = new Map();
+
+// plantData component path ('CWT.1', 'PPS') -> time its newest field arrived
+const componentUpdatedAt = new Map();
+
+// Fields and components that were stale at the last check, to redraw only on changes
+let staleSignature = '';
+
+/**
+ * Remember when each field and component instance last received a value.
+ * Null values (unmapped or missing in a partial update) do not count.
+ */
+function recordFieldUpdates(payload, timestamp) {
+    Object.entries(payload || {}).forEach(([component, value]) => {
+        const instances = Array.isArray(value)
+            ? value.map((data, index) => [`${component}.${index}`, data])
+            : [[component, value]];
+
+        instances.forEach(([path, data]) => {
+            if (!data || typeof data !== 'object') return;
+            let updated = false;
+            Object.entries(data).forEach(([field, fieldValue]) => {
+                if (fieldValue === null || fieldValue === undefined) return;
+                fieldUpdatedAt.set(`${path}.${field}`, timestamp);
+                updated = true;
+            });
+            if (updated) componentUpdatedAt.set(path, timestamp);
+        });
+    });
+}
+
+function clearFieldUpdates() {
+    fieldUpdatedAt.clear();
+    componentUpdatedAt.clear();
+}
+
+/**
+ * A value is stale when it arrived once but not within CONFIG.staleness.after.
+ * Works for field paths and component paths.
+ */
+function isStale(path) {
+    const updatedAt = fieldUpdatedAt.get(path) ?? componentUpdatedAt.get(path);
+    return updatedAt !== undefined && getCurrentTime() - updatedAt > CONFIG.staleness.after;
+}
+
+/**
+ * Time of the newest value of any field, or null before the first data
+ */
+function getLastDataTime() {
+    return componentUpdatedAt.size ? Math.max(...componentUpdatedAt.values()) : null;
+}
+
+function formatUpdatedAt(path) {
+    const updatedAt = fieldUpdatedAt.get(path) ?? componentUpdatedAt.get(path);
+    return updatedAt === undefined ? '' : `Last updated ${new Date(updatedAt).toLocaleTimeString()}`;
+}
+
+/**
+ * Lower the saturation of a water color in place when its tank is stale
+ */
+function desaturateIfStale(color, component, index) {
+    if (!isStale(getComponentPath(component, index))) return color;
+    const hsl = {};
+    color.getHSL(hsl);
+    return color.setHSL(hsl.h, hsl.s * (1 - CONFIG.staleness.desaturation), hsl.l * 0.8);
+}
+
+/**
+ * Re-check staleness (values age without new data arriving) and restyle the
+ * dashboard, labels and banner when the set of stale values changed
+ */
+function updateStaleness() {
+    const stale = [...fieldUpdatedAt.keys()].filter(isStale);
+    const lastData = getLastDataTime();
+    const feedStale = lastData !== null && getCurrentTime() - lastData > CONFIG.staleness.after;
+    const signature = `${feedStale}|${stale.join(',')}`;
+    if (signature === staleSignature) return;
+    staleSignature = signature;
+
+    updateDashboard();
+    updateDetailDrawer();
+
+    Object.entries(components.labels).forEach(([key, label]) => {
+        const [component, index] = key.split('_');
+        // A single-instance profile labels 'SCT' but its data lives at SCT.0
+        const path = getComponentPath(component, component in plantInstances ? Number(index ?? 0) : null);
+        label.element.classList.toggle('stale', isStale(path));
+        label.element.title = isStale(path) ? `Stale - ${formatUpdatedAt(path)}` : '';
+    });
+
+    const banner = document.getElementById('stale-banner');
+    if (banner) {
+        banner.classList.toggle('active', feedStale);
+        if (feedStale) {
+            const since = new Date(lastData).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            document.getElementById('stale-banner-text').textContent = `DATA STALE since ${since}`;
+        }
+    }
+}
+
+/**
+ * ?staleAfter=<seconds> overrides the staleness threshold
+ */
+function setupStaleness() {
+    const seconds = Number(new URLSearchParams(window.location.search).get('staleAfter'));
+    if (seconds > 0) CONFIG.staleness.after = seconds * 1000;
+    setInterval(updateStaleness, 1000);
+}
+
+// ============================================================================
+// OVERLAY MODES
+// ============================================================================
+
+const OVERLAY_MODES = {
+    none: 'Normal View',
+    alarms: 'Overlay: Alarm Severity',
+    levels: 'Overlay: Level vs Setpoint',
+    pumps: 'Overlay: Run Status',
+    staleness: 'Overlay: Data Age'
+};
+
+let overlayMode = 'none';
+let overlayMeshes = null;   // Meshes whose materials were swapped for overlay copies
+
+/**
+ * Overlay color of one component instance, or null when the mode does not apply to it
+ */
+function getOverlayColor(component, index) {
+    const path = getComponentPath(component, index);
+    const data = getValueAtPath(plantData, path);
+
+    switch (overlayMode) {
+        case 'alarms': {
+            if (!data) return null;
+            const alarms = activeAlarms.filter(alarm => alarm.conditionActive && alarm.component === component
+                && (index === null || alarm.index === null || alarm.index === index));
+            if (alarms.length === 0) return CONFIG.colors.ok;
+            const worst = alarms.reduce((a, b) => (getSeverityRank(b.severity) > getSeverityRank(a.severity) ? b : a));
+            return ALARM_SEVERITIES[worst.severity].color;
+        }
+
+        case 'levels': {
+            const setpoint = CONFIG.overlay.levelSetpoints[component];
+            const level = data?.Level;
+            if (!setpoint || typeof level !== 'number') return null;
+            // 0 at the setpoint, 1 at the low/high limit
+            const deviation = level >= setpoint.target
+                ? (level - setpoint.target) / (setpoint.high - setpoint.target)
+                : (setpoint.target - level) / (setpoint.target - setpoint.low);
+            if (deviation >= 1) return CONFIG.colors.alarm;
+            return new THREE.Color(CONFIG.colors.ok).lerp(new THREE.Color(CONFIG.colors.warning), deviation).getHex();
+        }
+
+        case 'pumps': {
+            const drive = CONFIG.overlay.runStatus[component];
+            if (!drive || !data) return null;
+            if (drive.fault && data[drive.fault]) return CONFIG.colors.alarm;
+            if (typeof data[drive.status] !== 'boolean') return null;
+            return data[drive.status] ? CONFIG.colors.pumpOn : CONFIG.overlay.stoppedColor;
+        }
+
+        case 'staleness': {
+            const updatedAt = componentUpdatedAt.get(path);
+            if (updatedAt === undefined) return CONFIG.colors.alarm;
+            const age = getCurrentTime() - updatedAt;
+            if (age > CONFIG.staleness.after) return CONFIG.colors.alarm;
+            if (age > CONFIG.overlay.lateAfter) return CONFIG.colors.warning;
+            return CONFIG.colors.ok;
+        }
+
+        default:
+            return null;
+    }
+}
+
+/**
+ * Give every mesh its own overlay material so the original can be restored
+ */
+function beginOverlay() {
+    overlayMeshes = [];
+    model.traverse(child => {
+        if (!child.isMesh || !child.material) return;
+        child.userData.overlayBaseMaterial = child.material;
+        child.material = Array.isArray(child.material)
+            ? child.material.map(mat => mat.clone())
+            : child.material.clone();
+        overlayMeshes.push(child);
+    });
+}
+
+function endOverlay() {
+    overlayMeshes?.forEach(child => {
+        const overlay = Array.isArray(child.material) ? child.material : [child.material];
+        overlay.forEach(mat => mat.dispose());
+        child.material = child.userData.overlayBaseMaterial;
+        delete child.userData.overlayBaseMaterial;
+    });
+    overlayMeshes = null;
+}
+
+/**
+ * Recolor the model for the active overlay - called from the animation loop after
+ * the regular material updates, so the overlay always wins
+ */
+function updateOverlay() {
+    if (overlayMode === 'none' || !model) return;
+    if (!overlayMeshes) beginOverlay();
+
+    const colors = new Map();
+    overlayMeshes.forEach(child => {
+        const pick = pickLookup.get(child);
+        let color = null;
+        if (pick && pick.component !== 'PIPE') {
+            const key = getComponentPath(pick.component, pick.index);
+            if (!colors.has(key)) colors.set(key, getOverlayColor(pick.component, pick.index));
+            color = colors.get(key);
+        }
+
+        const materials = Array.isArray(child.material) ? child.material : [child.material];
+        const base = child.userData.overlayBaseMaterial;
+        materials.forEach((mat, i) => {
+            if (color === null) {
+                // Not relevant for this mode - dim it
+                mat.color?.set(CONFIG.overlay.dimColor);
+                mat.emissive?.set(0x000000);
+                mat.transparent = true;
+                mat.opacity = CONFIG.overlay.dimOpacity;
+                mat.depthWrite = false;
+            } else {
+                // Undo the dimming of an earlier frame (no data yet, or a null field)
+                const original = Array.isArray(base) ? base[i] : base;
+                mat.transparent = original.transparent;
+                mat.opacity = original.opacity;
+                mat.depthWrite = original.depthWrite;
+                mat.color?.set(color);
+                mat.emissive?.set(color);
+                mat.emissiveIntensity = 0.5;
+            }
+        });
+    });
+}
+
+function setOverlayMode(mode) {
+    if (!OVERLAY_MODES[mode]) {
+        console.warn(`Unknown overlay mode: ${mode}`);
+        return;
+    }
+    if (overlayMode !== 'none') endOverlay();
+    overlayMode = mode;
+
+    const select = document.getElementById('overlay-mode');
+    if (select) select.value = mode;
+}
+
+function setupOverlayModes() {
+    const select = document.getElementById('overlay-mode');
+    if (!select) return;
+
+    select.innerHTML = Object.entries(OVERLAY_MODES)
+        .map(([mode, label]) => `<option value="${mode}">${label}</option>`)
+        .join('');
+    select.addEventListener('change', () => setOverlayMode(select.value));
+}
+
+// ============================================================================
+// PROCESS LINKS (pipe flow animation)
+// ============================================================================
+
+// Process links a pipe can belong to.
+// rate: field driving the flow speed (nominal = rate at normal speed)
+// running: boolean field(s) of the driving pump or drive - the flow stops when false
+// fault: the flow also stops while this is true
+const PIPE_LINKS = [
+    { id: 'RWT-CFT', from: 'RWT', to: 'CFT', rate: 'RWT.Outflow_Rate', nominal: 120, color: 'rawWater' },
+    { id: 'CFT-SCT', from: 'CFT', to: 'SCT', rate: 'RWT.Outflow_Rate', nominal: 120, color: 'rawWater' },
+    { id: 'SCT-FTR', from: 'SCT', to: 'FTR', rate: 'FTR.Flow_Rate', nominal: 100, color: 'cleanWater' },
+    { id: 'FTR-CWT', from: 'FTR', to: 'CWT', rate: 'FTR.Flow_Rate', nominal: 100, color: 'cleanWater' },
+    { id: 'SCT-SLT', from: 'SCT', to: 'SLT', running: 'SCT.*.Scraper_Status', color: 'sludge' },
+    { id: 'CST-CDP', from: 'CST', to: 'CDP', rate: 'CDP.Dosing_Rate', nominal: 5, running: 'CDP.Status', fault: 'CDP.Fault', color: 'chemical' },
+    { id: 'CDP-CFT', from: 'CDP', to: 'CFT', rate: 'CDP.Dosing_Rate', nominal: 5, running: 'CDP.Status', fault: 'CDP.Fault', color: 'chemical' },
+    { id: 'CWT-PPS', from: 'CWT', to: 'PPS', rate: 'PPS.Flow_Rate', nominal: 115, running: 'PPS.Status', fault: 'PPS.Fault', color: 'cleanWater' }
+];
+
+// Active links - the profile's pipeLinks replace the defaults
+let pipeLinkDefs = PIPE_LINKS;
+
+const FLOW_PARTICLES = {
+    spacing: 0.6,       // World units between particles
+    maxPerPipe: 60,
+    size: 0.25,
+    speed: 1.5          // World units per second at the nominal rate
+};
+
+// Pipe name -> { link, object, start, end, length, points, phase }
+const pipeLinks = new Map();
+
+/**
+ * Attach every pipe to a process link and create its flow particles.
+ * Pipes are matched by name first (Pipe_RWT_CFT), then by the components
+ * nearest to both ends of the pipe.
+ */
+function setupProcessLinks() {
+    pipeLinks.forEach(entry => {
+        scene.remove(entry.points);
+        entry.points.geometry.dispose();
+        entry.points.material.dispose();
+    });
+    pipeLinks.clear();
+
+    model.updateMatrixWorld(true);
+    const pipes = Object.values(components.pipes);
+    const centres = getComponentCentres();
+
+    Object.entries(components.pipes).forEach(([name, object]) => {
+        // Nested pipe meshes are animated through their parent pipe
+        for (let parent = object.parent; parent; parent = parent.parent) {
+            if (pipes.includes(parent)) return;
+        }
+
+        const box = new THREE.Box3().setFromObject(object);
+        if (box.isEmpty()) return;
+        const [endA, endB] = getPipeEnds(box);
+
+        const link = pipeLinkDefs.find(l => l.id === object.userData.wtpLink)
+            || findLinkByName(name)
+            || findLinkByPosition(endA, endB, centres);
+        if (!link) {
+            console.warn(`Pipe ${name} is not connected to a process link`);
+            return;
+        }
+
+        // Flow runs from the end nearest the upstream component
+        const fromCentre = nearestCentre(centres, link.from, box.getCenter(new THREE.Vector3()));
+        const reversed = fromCentre && fromCentre.distanceTo(endB) < fromCentre.distanceTo(endA);
+        const start = reversed ? endB : endA;
+        const end = reversed ? endA : endB;
+        const length = start.distanceTo(end);
+
+        pipeLinks.set(name, {
+            link,
+            object,
+            start,
+            end,
+            length,
+            points: createFlowParticles(link, length),
+            phase: 0
+        });
+    });
+
+    console.log(`Process links: ${pipeLinks.size} of ${pipes.length} pipes linked`);
+}
+
+/**
+ * Centres of every component instance that can be a link endpoint
+ */
+function getComponentCentres() {
+    const codes = [...new Set(pipeLinkDefs.flatMap(link => [link.from, link.to]))];
+    return codes.flatMap(code => getComponentObjects(code).map(object => ({
+        code,
+        centre: new THREE.Box3().setFromObject(object).getCenter(new THREE.Vector3())
+    })));
+}
+
+function nearestCentre(centres, code, point) {
+    let nearest = null;
+    centres.filter(c => c.code === code).forEach(({ centre }) => {
+        if (!nearest || centre.distanceTo(point) < nearest.distanceTo(point)) nearest = centre;
+    });
+    return nearest;
+}
+
+/**
+ * Both ends of a pipe, approximated along the longest axis of its bounding box
+ */
+function getPipeEnds(box) {
+    const size = box.getSize(new THREE.Vector3());
+    const centre = box.getCenter(new THREE.Vector3());
+    const axis = size.x >= size.y && size.x >= size.z ? 'x' : size.y >= size.z ? 'y' : 'z';
+
+    const endA = centre.clone();
+    const endB = centre.clone();
+    endA[axis] = box.min[axis];
+    endB[axis] = box.max[axis];
+    return [endA, endB];
+}
+
+function findLinkByName(name) {
+    const tokens = name.toUpperCase().split(/[^A-Z0-9]+/);
+    return pipeLinkDefs.find(link => tokens.includes(link.from) && tokens.includes(link.to));
+}
+
+function findLinkByPosition(endA, endB, centres) {
+    const nearestCode = (point, exclude) => {
+        let best = null;
+        centres.forEach(({ code, centre }) => {
+            if (code === exclude) return;
+            const distance = centre.distanceTo(point);
+            if (!best || distance < best.distance) best = { code, distance };
+        });
+        return best?.code;
+    };
+
+    const codeA = nearestCode(endA);
+    const codeB = nearestCode(endB, codeA);
+    return pipeLinkDefs.find(link =>
+        (link.from === codeA && link.to === codeB) || (link.from === codeB && link.to === codeA));
+}
+
+function createFlowParticles(link, length) {
+    const count = THREE.MathUtils.clamp(Math.round(length / FLOW_PARTICLES.spacing), 2, FLOW_PARTICLES.maxPerPipe);
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+
+    const points = new THREE.Points(geometry, new THREE.PointsMaterial({
+        color: CONFIG.colors[link.color],
+        size: FLOW_PARTICLES.size,
+        transparent: true,
+        opacity: 0.9,
+        depthWrite: false
+    }));
+    points.frustumCulled = false;
+    points.visible = false;
+    scene.add(points);
+    return points;
+}
+
+/**
+ * Current flow of a link: { running, rate, speed } where speed is relative to nominal
+ */
+function getLinkFlow(link) {
+    const fieldTrue = path => resolveRuleField(plantData, path).some(({ value }) => value === true);
+
+    const running = (!link.running || fieldTrue(link.running)) && !(link.fault && fieldTrue(link.fault));
+    const rate = link.rate ? resolveRuleField(plantData, link.rate)[0]?.value : null;
+
+    let speed = running ? 1 : 0;
+    if (running && link.rate) {
+        speed = typeof rate === 'number' ? Math.max(rate, 0) / link.nominal : 0;
+    }
+
+    return { running, rate: typeof rate === 'number' ? rate : null, speed };
+}
+
+/**
+ * Link info for the detail drawer of a pipe
+ */
+function getPipeLinkInfo(name) {
+    const entry = pipeLinks.get(name);
+    if (!entry) return null;
+
+    const { link } = entry;
+    const flow = getLinkFlow(link);
+    return {
+        Link: `${link.from} → ${link.to}`,
+        Rate_Field: link.rate || '--',
+        Rate: flow.rate,
+        Driven_By: link.running || '--',
+        Flowing: flow.speed > 0
+    };
+}
+
+// ============================================================================
+// ALARM RULE ENGINE
+// ============================================================================
+
+// Severity levels, lowest to highest priority
+const ALARM_SEVERITIES = {
+    low: { rank: 1, color: CONFIG.colors.warning },
+    medium: { rank: 2, color: 0xffab40 },
+    high: { rank: 3, color: CONFIG.colors.alarm },
+    critical: { rank: 4, color: CONFIG.colors.alarm }
+};
+
+const ALARM_RULE_TYPES = ['threshold', 'rate', 'boolean'];
+
+// Tanks that can be highlighted by alarms in the 3D view
+const ALARM_TANK_KEYS = ['RWT', 'CST', 'CFT', 'SCT', 'CWT', 'SLT'];
+
+// Fallback rule set used when alarm-rules.json cannot be loaded.
+// Mirrors the API alarm flags so operators never lose the basic alarms.
+const DEFAULT_ALARM_RULES = [
+    { id: 'rwt-high-level', name: 'RWT High Level', type: 'boolean', field: 'RWT.High_Level_Alarm', severity: 'high', component: 'RWT', pulse: 'solid' },
+    { id: 'rwt-low-level', name: 'RWT Low Level', type: 'boolean', field: 'RWT.Low_Level_Alarm', severity: 'high', component: 'RWT' },
+    { id: 'cst-low-level', name: 'CST Low Level', type: 'boolean', field: 'CST.Low_Level_Alarm', severity: 'high', component: 'CST' },
+    { id: 'cwt-high-level', name: 'CWT {n} High Level', type: 'boolean', field: 'CWT.*.High_Level_Alarm', severity: 'high', component: 'CWT', pulse: 'solid' },
+    { id: 'cwt-low-level', name: 'CWT {n} Low Level', type: 'boolean', field: 'CWT.*.Low_Level_Alarm', severity: 'high', component: 'CWT' },
+    { id: 'cdp-fault', name: 'CDP Fault', type: 'boolean', field: 'CDP.Fault', severity: 'critical', component: 'CDP', pulse: 'none' },
+    { id: 'pps-fault', name: 'PPS Fault', type: 'boolean', field: 'PPS.Fault', severity: 'critical', component: 'PPS', pulse: 'none' }
+];
+
+// Loaded rule set
+let alarmRules = DEFAULT_ALARM_RULES;
+
+// Per rule instance state: id -> { pendingSince, active, since }
+const alarmRuleStates = {};
+
+function getSeverityRank(severity) {
+    return ALARM_SEVERITIES[severity]?.rank ?? 0;
+}
+
+/**
+ * Check a rule definition and fill in defaults.
+ * Returns null (and logs why) for rules that cannot be evaluated.
+ */
+function normalizeAlarmRule(rule) {
+    if (!rule || !rule.id || !rule.field) {
+        console.warn('Alarm rule skipped - missing id or field:', rule);
+        return null;
+    }
+    const type = rule.type || 'threshold';
+    if (!ALARM_RULE_TYPES.includes(type)) {
+        console.warn(`Alarm rule ${rule.id} skipped - unknown type '${rule.type}'`);
+        return null;
+    }
+    if (type !== 'boolean' && (!['>', '>=', '<', '<='].includes(rule.operator) || typeof rule.limit !== 'number')) {
+        console.warn(`Alarm rule ${rule.id} skipped - ${type} rules need an operator and a numeric limit`);
+        return null;
+    }
+    if (rule.severity && !ALARM_SEVERITIES[rule.severity]) {
+        console.warn(`Alarm rule ${rule.id} has unknown severity '${rule.severity}', using 'medium'`);
+    }
+
+    return {
+        ...rule,
+        type,
+        name: rule.name || rule.id,
+        severity: ALARM_SEVERITIES[rule.severity] ? rule.severity : 'medium',
+        component: rule.component || rule.field.split('.')[0],
+        deadband: rule.deadband || 0,
+        onDelay: rule.onDelay || 0,
+        window: rule.window || 5 * 60 * 1000,
+        pulse: rule.pulse || 'blink'
+    };
+}
+
+/**
+ * Replace the active rule set. Rule states are reset so alarms re-evaluate from scratch.
+ */
+function setAlarmRules(rules) {
+    if (!Array.isArray(rules)) {
+        console.error('Alarm rules must be an array');
+        return false;
+    }
+    alarmRules = rules.map(normalizeAlarmRule).filter(Boolean);
+    resetAlarmStates();
+    console.log(`Loaded ${alarmRules.length} alarm rules`);
+    return true;
+}
+
+function resetAlarmStates() {
+    Object.keys(alarmRuleStates).forEach(key => delete alarmRuleStates[key]);
+    alarmRecords.clear();
+    refreshActiveAlarms();
+}
+
+/**
+ * Load the rule set from ?alarmRules=<url>, or alarm-rules.json next to the app.
+ * Falls back to DEFAULT_ALARM_RULES when the file is missing or invalid.
+ */
+async function loadAlarmRules() {
+    const urlParams = new URLSearchParams(window.location.search);
+    const url = urlParams.get('alarmRules') || CONFIG.alarmRulesPath;
+
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        const json = await response.json();
+        setAlarmRules(Array.isArray(json) ? json : json.rules);
+    } catch (error) {
+        console.warn(`Could not load alarm rules from ${url}, using built-in rules:`, error);
+        setAlarmRules(DEFAULT_ALARM_RULES);
+    }
+}
+
+/**
+ * Resolve a dotted field path against plant data.
+ * A '*' segment expands over array instances: 'CWT.*.Level' -> [{ index: 0, value }, ...]
+ */
+function resolveRuleField(data, field) {
+    const parts = field.split('.');
+    const wildcard = parts.indexOf('*');
+
+    const getPath = (obj, path) => path.reduce((acc, key) => acc?.[key], obj);
+
+    if (wildcard === -1) {
+        return [{ index: null, key: field, value: getPath(data, parts) }];
+    }
+
+    const list = getPath(data, parts.slice(0, wildcard));
+    if (!Array.isArray(list)) return [];
+
+    return list.map((item, index) => ({
+        index,
+        key: [...parts.slice(0, wildcard), index, ...parts.slice(wildcard + 1)].join('.'),
+        value: getPath(item, parts.slice(wildcard + 1))
+    }));
+}
+
+/**
+ * Rate of change per minute of a metric over the rule window, from the history buffer
+ */
+function getMetricRate(key, windowMs, timestamp) {
+    const points = getHistorySeries(key, windowMs, timestamp);
+    if (points.length < 2) return null;
+
+    const [firstT, firstV] = points[0];
+    const [lastT, lastV] = points[points.length - 1];
+    // Need at least half a window of data before the rate means anything
+    if (lastT - firstT < windowMs / 2) return null;
+
+    return (lastV - firstV) / ((lastT - firstT) / 60000);
+}
+
+/**
+ * Is the rule condition true for this value? Uses the deadband to decide
+ * when an already active alarm may clear.
+ */
+function isRuleConditionMet(rule, value, wasActive) {
+    if (rule.type === 'boolean') {
+        return value === (rule.value ?? true);
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) return false;
+
+    const deadband = wasActive ? rule.deadband : 0;
+    switch (rule.operator) {
+        case '>': return value > rule.limit - deadband;
+        case '>=': return value >= rule.limit - deadband;
+        case '<': return value < rule.limit + deadband;
+        case '<=': return value <= rule.limit + deadband;
+        default: return false;
+    }
+}
+
+/**
+ * Evaluate every rule against the current plant data and feed the
+ * resulting alarm conditions into the alarm lifecycle
+ */
+function evaluateAlarmRules(data, timestamp) {
+    const seen = new Set();
+    const conditions = [];
+
+    alarmRules.forEach(rule => {
+        resolveRuleField(data, rule.field).forEach(({ index, key, value }) => {
+            const id = index === null ? rule.id : `${rule.id}:${index}`;
+            seen.add(id);
+
+            const state = alarmRuleStates[id] || (alarmRuleStates[id] = { pendingSince: null, active: false, since: null });
+            const input = rule.type === 'rate' ? getMetricRate(key, rule.window, timestamp) : value;
+
+            if (isRuleConditionMet(rule, input, state.active)) {
+                if (!state.active) {
+                    if (state.pendingSince === null) state.pendingSince = timestamp;
+                    // On-delay: condition has to hold continuously before the alarm is raised
+                    if (timestamp - state.pendingSince >= rule.onDelay) {
+                        state.active = true;
+                        state.since = timestamp;
+                    }
+                }
+            } else {
+                state.pendingSince = null;
+                state.active = false;
+                state.since = null;
+            }
+
+            if (state.active) {
+                conditions.push({
+                    id,
+                    ruleId: rule.id,
+                    name: rule.name.replace('{n}', index === null ? '' : index + 1).trim(),
+                    severity: rule.severity,
+                    component: rule.component,
+                    index,
+                    pulse: rule.pulse,
+                    value: input,
+                    since: state.since
+                });
+            }
+        });
+    });
+
+    // Forget instances that no longer exist in the data
+    Object.keys(alarmRuleStates).forEach(id => {
+        if (!seen.has(id)) delete alarmRuleStates[id];
+    });
+
+    applyAlarmLifecycle(conditions, timestamp);
+}
+
+/**
+ * Stateless rule check for a payload that is not the displayed asset (plant overview).
+ * Rate rules need history and on-delays need consecutive samples, so both are skipped.
+ * Returns the violated conditions, most severe first.
+ */
+function checkAlarmConditions(data) {
+    const hits = [];
+
+    alarmRules.forEach(rule => {
+        if (rule.type === 'rate') return;
+        resolveRuleField(data, rule.field).forEach(({ index, value }) => {
+            if (isRuleConditionMet(rule, value, false)) {
+                hits.push({
+                    ruleId: rule.id,
+                    name: rule.name.replace('{n}', index === null ? '' : index + 1).trim(),
+                    severity: rule.severity,
+                    color: getSeverityCssColor(rule.severity),
+                    value
+                });
+            }
+        });
+    });
+
+    return hits.sort((a, b) => ALARM_SEVERITIES[b.severity].rank - ALARM_SEVERITIES[a.severity].rank);
+}
+
+/**
+ * Alarms of the displayed asset whose condition is still active, in the same
+ * shape as checkAlarmConditions()
+ */
+function getAlarmSummary() {
+    return activeAlarms
+        .filter(alarm => alarm.conditionActive)
+        .map(alarm => ({
+            ruleId: alarm.ruleId,
+            name: alarm.name,
+            severity: alarm.severity,
+            color: getSeverityCssColor(alarm.severity),
+            value: alarm.value
+        }))
+        .sort((a, b) => ALARM_SEVERITIES[b.severity].rank - ALARM_SEVERITIES[a.severity].rank);
+}
+
+function getSeverityCssColor(severity) {
+    return `#${ALARM_SEVERITIES[severity].color.toString(16).padStart(6, '0')}`;
+}
+
+/**
+ * 3D objects an alarm should pulse: a tank instance, all instances, or a filter
+ */
+function resolveAlarmTargets(component, index) {
+    const tank = components.tanks[component];
+    if (tank) {
+        const tanks = Array.isArray(tank) ? tank : [tank];
+        if (index === null || index === undefined) return tanks;
+        return tanks[index] ? [tanks[index]] : [];
+    }
+    if (components.filters[component]) return [components.filters[component]];
+    return [];
+}
+
+// ============================================================================
+// ALARM LIFECYCLE (ISA-18.2 style)
+// ============================================================================
+
+const ALARM_STATES = {
+    UNACK_ACTIVE: 'unack-active',   // Active, not yet acknowledged
+    ACK_ACTIVE: 'ack-active',       // Active and acknowledged
+    RTN_UNACK: 'rtn-unack',         // Returned to normal, never acknowledged
+    SHELVED: 'shelved'              // Suppressed by an operator until shelvedUntil
+};
+
+const ALARM_STATE_LABELS = {
+    [ALARM_STATES.UNACK_ACTIVE]: 'UNACK',
+    [ALARM_STATES.ACK_ACTIVE]: 'ACK',
+    [ALARM_STATES.RTN_UNACK]: 'RTN',
+    [ALARM_STATES.SHELVED]: 'SHELVED'
+};
+
+// Alarm instance id -> record. An alarm in the normal state has no record.
+const alarmRecords = new Map();
+
+function formatAlarmTime(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleTimeString() : '--';
+}
+
+/**
+ * Escape text from rule files, profiles and API responses before it goes into innerHTML
+ */
+function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+}
+
+/**
+ * Rebuild the list shown in the alarm panel from the lifecycle records
+ */
+function refreshActiveAlarms() {
+    activeAlarms = [...alarmRecords.values()]
+        .filter(record => record.state !== ALARM_STATES.SHELVED)
+        .map(record => ({ ...record, acked: record.state === ALARM_STATES.ACK_ACTIVE }));
+    updateAlarmPanel();
+    updateDetailDrawer();
+}
+
+/**
+ * Move every alarm through its lifecycle based on the conditions raised by the rule engine
+ */
+function applyAlarmLifecycle(conditions, timestamp) {
+    let changed = expireShelvedAlarms(timestamp);
+    const activeIds = new Set();
+
+    conditions.forEach(condition => {
+        activeIds.add(condition.id);
+        const record = alarmRecords.get(condition.id);
+
+        if (!record) {
+            alarmRecords.set(condition.id, {
+                ...condition,
+                state: ALARM_STATES.UNACK_ACTIVE,
+                conditionActive: true,
+                firstSeen: condition.since,
+                clearedAt: null,
+                ackedAt: null,
+                shelvedUntil: null
+            });
+            journalAlarmEvent('RAISED', alarmRecords.get(condition.id), timestamp);
+            changed = true;
+            return;
+        }
+
+        record.value = condition.value;
+        if (!record.conditionActive) {
+            record.conditionActive = true;
+            record.clearedAt = null;
+            // An alarm that comes back before it was acknowledged needs acknowledging again
+            if (record.state === ALARM_STATES.RTN_UNACK) {
+                record.state = ALARM_STATES.UNACK_ACTIVE;
+            }
+            journalAlarmEvent('RAISED', record, timestamp);
+            changed = true;
+        }
+    });
+
+    alarmRecords.forEach((record, id) => {
+        if (activeIds.has(id) || !record.conditionActive) return;
+
+        record.conditionActive = false;
+        record.clearedAt = timestamp;
+        journalAlarmEvent('CLEARED', record, timestamp);
+        changed = true;
+
+        if (record.state === ALARM_STATES.UNACK_ACTIVE) {
+            record.state = ALARM_STATES.RTN_UNACK;
+        } else if (record.state === ALARM_STATES.ACK_ACTIVE) {
+            alarmRecords.delete(id);
+        }
+    });
+
+    if (changed) refreshActiveAlarms();
+}
+
+/**
+ * Return shelved alarms to service once their shelve time is over.
+ * Returns true if anything changed.
+ */
+function expireShelvedAlarms(timestamp = getCurrentTime()) {
+    let changed = false;
+    alarmRecords.forEach(record => {
+        if (record.state === ALARM_STATES.SHELVED && record.shelvedUntil <= timestamp) {
+            unshelveRecord(record, timestamp);
+            changed = true;
+        }
+    });
+    return changed;
+}
+
+function unshelveRecord(record, timestamp) {
+    record.shelvedUntil = null;
+    journalAlarmEvent('UNSHELVED', record, timestamp);
+    if (record.conditionActive) {
+        record.state = ALARM_STATES.UNACK_ACTIVE;
+    } else {
+        alarmRecords.delete(record.id);
+    }
+}
+
+function acknowledgeAlarm(id) {
+    if (!checkPermission('alarms.acknowledge', 'acknowledge alarm')) return false;
+
+    const record = alarmRecords.get(id);
+    if (!record) return false;
+
+    const timestamp = getCurrentTime();
+    if (record.state === ALARM_STATES.UNACK_ACTIVE) {
+        record.state = ALARM_STATES.ACK_ACTIVE;
+    } else if (record.state === ALARM_STATES.RTN_UNACK) {
+        // Acknowledged after returning to normal - the alarm is done
+        alarmRecords.delete(id);
+    } else {
+        return false;
+    }
+
+    record.ackedAt = timestamp;
+    journalAlarmEvent('ACKNOWLEDGED', record, timestamp);
+    refreshActiveAlarms();
+    return true;
+}
+
+function acknowledgeAllAlarms() {
+    if (!checkPermission('alarms.acknowledge', 'acknowledge alarms')) return;
+    [...alarmRecords.keys()].forEach(acknowledgeAlarm);
+}
+
+function shelveAlarm(id, durationMs = CONFIG.alarmShelveDuration) {
+    if (!checkPermission('alarms.acknowledge', 'shelve alarm')) return false;
+
+    const record = alarmRecords.get(id);
+    if (!record || record.state === ALARM_STATES.SHELVED) return false;
+
+    const timestamp = getCurrentTime();
+    record.state = ALARM_STATES.SHELVED;
+    record.shelvedUntil = timestamp + durationMs;
+    journalAlarmEvent('SHELVED', record, timestamp);
+    refreshActiveAlarms();
+    return true;
+}
+
+function unshelveAllAlarms() {
+    if (!checkPermission('alarms.acknowledge', 'unshelve alarms')) return;
+
+    const timestamp = getCurrentTime();
+    alarmRecords.forEach(record => {
+        if (record.state === ALARM_STATES.SHELVED) unshelveRecord(record, timestamp);
+    });
+    refreshActiveAlarms();
+}
+
+function setupAlarmPanel() {
+    const list = document.getElementById('alarm-list');
+    if (!list) return;
+
+    // Rows are re-rendered on every change, so listen once on the container
+    list.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        const { action, id } = button.dataset;
+        if (action === 'ack') acknowledgeAlarm(id);
+        else if (action === 'shelve') shelveAlarm(id);
+        else if (action === 'unshelve-all') unshelveAllAlarms();
+    });
+
+    document.getElementById('btn-ack-all')?.addEventListener('click', acknowledgeAllAlarms);
+}
+
+// Shelved alarms must come back even when no new data arrives
+setInterval(() => {
+    if (expireShelvedAlarms()) refreshActiveAlarms();
+}, 5000);
+
+// ============================================================================
+// ALARM JOURNAL (IndexedDB)
+// ============================================================================
+
+const JOURNAL_DB = {
+    name: 'wtp-alarm-journal',
+    version: 1,
+    store: 'events',
+    pageSize: 200
+};
+
+let journalDbPromise = null;
+
+// Used when IndexedDB is not available (private browsing, old browsers)
+const memoryJournal = [];
+
+function openJournalDb() {
+    if (journalDbPromise) return journalDbPromise;
+
+    journalDbPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+            reject(new Error('IndexedDB not supported'));
+            return;
+        }
+        const request = indexedDB.open(JOURNAL_DB.name, JOURNAL_DB.version);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(JOURNAL_DB.store, { keyPath: 'seq', autoIncrement: true });
+            store.createIndex('timestamp', 'timestamp');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    }).catch(error => {
+        console.warn('Alarm journal falling back to memory:', error);
+        return null;
+    });
+
+    return journalDbPromise;
+}
+
+/**
+ * Append an alarm transition to the persistent journal
+ */
+async function journalAlarmEvent(event, record, timestamp) {
+    // Replayed alarms already happened and simulated ones never did - only live events belong in the journal
+    if (replay.active || simulationInterval) return;
+
+    const entry = {
+        timestamp,
+        event,
+        alarmId: record.id,
+        name: record.name,
+        severity: record.severity,
+        value: record.value ?? null,
+        assetId: window.WTPAPI?.config?.assetId ?? null
+    };
+
+    const db = await openJournalDb();
+    if (!db) {
+        memoryJournal.push(entry);
+        return;
+    }
+
+    try {
+        const tx = db.transaction(JOURNAL_DB.store, 'readwrite');
+        tx.objectStore(JOURNAL_DB.store).add(entry);
+    } catch (error) {
+        console.warn('Failed to write alarm journal entry:', error);
+        memoryJournal.push(entry);
+    }
+}
+
+/**
+ * Read journal entries, newest first. Pass the seq of the last entry
+ * already shown as `before` to page further back.
+ */
+async function readAlarmJournal({ before = null, limit = JOURNAL_DB.pageSize } = {}) {
+    const db = await openJournalDb();
+    if (!db) {
+        return memoryJournal
+            .map((entry, i) => ({ seq: i + 1, ...entry }))
+            .filter(entry => before === null || entry.seq < before)
+            .reverse()
+            .slice(0, limit ?? undefined);
+    }
+
+    return new Promise((resolve, reject) => {
+        const entries = [];
+        const range = before === null ? null : IDBKeyRange.upperBound(before, true);
+        const request = db.transaction(JOURNAL_DB.store).objectStore(JOURNAL_DB.store).openCursor(range, 'prev');
+
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor || (limit && entries.length >= limit)) {
+                resolve(entries);
+                return;
+            }
+            entries.push(cursor.value);
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function journalToCsv(entries) {
+    const escape = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const header = ['timestamp', 'event', 'alarm_id', 'name', 'severity', 'value', 'asset_id'];
+    const rows = entries.map(e => [
+        new Date(e.timestamp).toISOString(), e.event, e.alarmId, e.name, e.severity, e.value, e.assetId
+    ].map(escape).join(','));
+    return [header.join(','), ...rows].join('\n');
+}
+
+async function exportAlarmJournal() {
+    const entries = await readAlarmJournal({ limit: null });
+    // Export oldest first, like a log file
+    const csv = journalToCsv(entries.reverse());
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+    link.download = `alarm-journal-${new Date().toISOString().slice(0, 10)}.csv`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+let journalOldestSeq = null;
+
+function renderJournalRows(entries, append) {
+    const body = document.getElementById('journal-rows');
+    if (!body) return;
+
+    const html = entries.map(e => `
+        <tr class="journal-${escapeHtml(String(e.event).toLowerCase())}">
+            <td>${new Date(e.timestamp).toLocaleString()}</td>
+            <td>${escapeHtml(e.event)}</td>
+            <td>${escapeHtml(e.name)}</td>
+            <td>${escapeHtml(e.severity)}</td>
+        </tr>
+    `).join('');
+
+    body.innerHTML = append ? body.innerHTML + html : html;
+    if (entries.length) journalOldestSeq = entries[entries.length - 1].seq;
+}
+
+async function openAlarmJournal() {
+    const panel = document.getElementById('alarm-journal');
+    if (!panel) return;
+
+    panel.classList.add('active');
+    journalOldestSeq = null;
+    renderJournalRows(await readAlarmJournal(), false);
+}
+
+function setupAlarmJournal() {
+    const panel = document.getElementById('alarm-journal');
+    if (!panel) return;
+
+    document.getElementById('btn-alarm-journal')?.addEventListener('click', openAlarmJournal);
+    document.getElementById('journal-close')?.addEventListener('click', () => panel.classList.remove('active'));
+    document.getElementById('journal-export')?.addEventListener('click', exportAlarmJournal);
+
+    // Load older entries when scrolled to the bottom
+    const scroller = panel.querySelector('.journal-scroll');
+    let loading = false;
+    scroller?.addEventListener('scroll', async () => {
+        if (loading || journalOldestSeq === null) return;
+        if (scroller.scrollTop + scroller.clientHeight < scroller.scrollHeight - 20) return;
+
+        loading = true;
+        const older = await readAlarmJournal({ before: journalOldestSeq });
+        if (older.length) renderJournalRows(older, true);
+        else journalOldestSeq = null;
+        loading = false;
+    });
+}
+
+// ============================================================================
+// DATA HANDLING
+// ============================================================================
+
+function getDefaultPayload() {
+    const payload = {
+        RWT: {
+            Level: 65,
+            High_Level_Alarm: false,
+            Low_Level_Alarm: false,
+            Inflow_Rate: 120,
+            Outflow_Rate: 115,
+            pH: 7.2,
+            Turbidity: 45
+        },
+        CDP: {
+            Status: true,
+            Mode: 'AUTO',
+            Dosing_Rate: 5.5,
+            Total_Chemical_Used: 1250,
+            Pressure: 2.5,
+            Fault: false
+        },
+        CST: {
+            Level: 78,
+            Low_Level_Alarm: false
+        },
+        CFT: {
+            Level: 55,
+            Mixer_Status: true,
+            pH: 6.8,
+            Turbidity: 25,
+            Dosing_Rate: 3.2
+        },
+        // SCT has 2 tanks
+        SCT: [
+            { Level: 70, Sludge_Level: 15, Turbidity_Outlet: 8, Scraper_Status: true },
+            { Level: 68, Sludge_Level: 12, Turbidity_Outlet: 7, Scraper_Status: true }
+        ],
+        FTR: {
+            Differential_Pressure: 0.8,
+            Flow_Rate: 95,
+            Backwash_Status: false
+        },
+        // CWT has 2 tanks
+        CWT: [
+            { Level: 82, High_Level_Alarm: false, Low_Level_Alarm: false, pH: 7.0, Turbidity: 0.5, Residual_Chlorine: 0.8 },
+            { Level: 80, High_Level_Alarm: false, Low_Level_Alarm: false, pH: 7.1, Turbidity: 0.4, Residual_Chlorine: 0.7 }
+        ],
+        SLT: {
+            Level: 35,
+            Pump_Status: false
+        },
+        PPS: {
+            Status: true,
+            Mode: 'AUTO',
+            Flow_Rate: 110,
+            Outlet_Pressure: 3.2,
+            Fault: false
+        },
+        PLT: {
+            Total_Inflow: 120,
+            Total_Outflow: 115,
+            System_Mode: 'AUTO',
+            Alarm_Status: false
+        }
+    };
+
+    // Instance counts come from the plant profile
+    Object.entries(plantInstances).forEach(([component, count]) => {
+        payload[component] = fitInstances(payload[component], count);
+    });
+    return payload;
+}
+
+/**
+ * Resize a list of tank instances, repeating the last one for extra tanks
+ */
+function fitInstances(list, count) {
+    return Array.from({ length: count }, (_, index) => structuredClone(list[Math.min(index, list.length - 1)]));
+}
+
+/**
+ * Default payload structure with every value set to null (shown as --)
+ */
+function getEmptyPayload() {
+    const blank = (value) => {
+        if (Array.isArray(value)) return value.map(blank);
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, blank(v)]));
+        }
+        return null;
+    };
+    return blank(getDefaultPayload());
+}
+
+/**
+ * Forget the current asset: data, animation targets, history and alarms.
+ * Called when switching assets so values from the previous plant never carry over.
+ */
+function resetPlantData() {
+    plantData = getEmptyPayload();
+
+    Object.values(animationTargets).forEach(targets => {
+        Object.keys(targets).forEach(key => delete targets[key]);
+    });
+
+    // Drain the tanks until the new asset reports its own levels
+    ['RWT_Water', 'CFT_Water', 'SCT_Water', 'CWT_Water', 'SLT_Water_Cone', 'SLT_Water_Cylinder'].forEach(key => {
+        const meshes = components.tanks[key];
+        if (!meshes) return;
+        (Array.isArray(meshes) ? meshes : [meshes]).forEach(mesh => {
+            mesh.visible = false;
+            if (mesh.userData.originalScaleY !== undefined) {
+                mesh.scale.y = mesh.userData.originalScaleY * CONFIG.tank.minScale;
+            }
+        });
+    });
+
+    clearHistory();
+    clearFieldUpdates();
+    resetAlarmStates();
+    updateDashboard();
+    updateLabels();
+    updateTrendCharts();
+    updateDetailDrawer();
+}
+
+/**
+ * Update plant data from external JSON payload
  * Call this function to update the visualization with new data
  * @param {Object} payload - JSON object with plant data
  */
-function updatePlantData(payload) {
-    // Merge new payload with existing data
-    plantData = { ...plantData, ...payload };
+function updatePlantData(payload) {
+    // Replay owns the plant data until it is closed (late API responses are dropped)
+    if (replay.active) return;
+
+    const timestamp = Date.now();
+    applyPlantData(payload, timestamp);
+    if (recording.active) recordFrame(payload, timestamp);
+
+    // Update UI dashboard
+    refreshDataViews();
+}
+
+/**
+ * Merge a payload and run history and alarms at the given time, without touching the UI.
+ * Replay uses this directly to apply many frames at once when seeking.
+ */
+function applyPlantData(payload, timestamp) {
+    // Merge new payload with existing data
+    plantData = { ...plantData, ...payload };
+
+    // Keep a rolling history of every numeric metric for the trend charts
+    recordHistory(plantData, timestamp);
+    recordFieldUpdates(payload, timestamp);
+    evaluateAlarmRules(plantData, timestamp);
+}
+
+function refreshDataViews() {
+    updateDashboard();
+    updateLabels();
+    updateTrendCharts();
+    updateDetailDrawer();
+}
+
+function updateDashboard() {
+    const apiFields = window.WTPAPI?.getFieldSchema?.().fields || {};
+    dashboardValues.forEach(({ el, path, field }) => {
+        const { text, className } = formatDashboardValue(field, getValueAtPath(plantData, path), apiFields[path]?.unit);
+        const stale = isStale(path);
+        el.textContent = text;
+        el.className = `value ${className}${stale ? ' stale' : ''}`;
+        el.title = stale ? `Stale - ${formatUpdatedAt(path)}` : '';
+    });
+
+    // System mode indicator
+    const modeEl = document.getElementById('system-mode');
+    if (modeEl) {
+        // No made-up mode when the plant does not report one
+        modeEl.textContent = plantData.PLT?.System_Mode || '--';
+        modeEl.className = 'mode' +
+            (plantData.PLT?.System_Mode === 'MANUAL' ? ' manual' : '');
+    }
+}
+
+/**
+ * Multi-instance components (SCT, CWT) are arrays; older payloads may send a single object
+ */
+function getInstances(data) {
+    if (Array.isArray(data)) return data;
+    return data ? [data] : [];
+}
+
+/**
+ * Format a numeric value with a unit suffix. Returns undefined for missing
+ * values so the dashboard shows '--' instead of 'undefined%'.
+ */
+function formatNumber(value, digits, suffix = '') {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return undefined;
+    return value.toFixed(digits) + suffix;
+}
+
+// ============================================================================
+// DASHBOARD (generated from DASHBOARD_SCHEMA)
+// ============================================================================
+
+// Field types:
+// - number: value with `precision` decimals and `unit` (falls back to the API field unit)
+// - alarm:  YES (alarm) / NO (ok)
+// - status: ON (ok) / OFF
+// - text:   value as is, `default` when missing
+// `labels` ([true, false]) and `classes` ([true, false]) override the boolean presets.
+// `status` rules set the class of numbers - the first match wins:
+//   [{ when: '<', value: 0.2, class: 'alarm' }]
+const DASHBOARD_SCHEMA = {
+    RWT: {
+        title: 'Raw Water Tank',
+        expanded: true,
+        fields: [
+            { key: 'Level', unit: '%', precision: 1 },
+            { key: 'High_Level_Alarm', type: 'alarm' },
+            { key: 'Low_Level_Alarm', type: 'alarm' },
+            { key: 'pH', precision: 1 },
+            { key: 'Turbidity', unit: ' NTU', precision: 1 },
+            { key: 'Inflow_Rate', unit: ' m³/h', precision: 1 },
+            { key: 'Outflow_Rate', unit: ' m³/h', precision: 1 }
+        ]
+    },
+    CST: {
+        title: 'Chemical Storage Tank',
+        fields: [
+            { key: 'Level', unit: '%', precision: 1, status: [{ when: '<', value: 20, class: 'warning' }] },
+            { key: 'Low_Level_Alarm', type: 'alarm' }
+        ]
+    },
+    CFT: {
+        title: 'Coagulation Tank',
+        fields: [
+            { key: 'Level', unit: '%', precision: 1 },
+            { key: 'Mixer_Status', type: 'status' },
+            { key: 'pH', precision: 1 },
+            { key: 'Turbidity', unit: ' NTU', precision: 1 },
+            { key: 'Dosing_Rate', unit: ' L/h', precision: 1 }
+        ]
+    },
+    SCT: {
+        title: 'Sedimentation Tank',
+        fields: [
+            { key: 'Level', unit: '%', precision: 1 },
+            { key: 'Sludge_Level', unit: '%', precision: 1, status: [{ when: '>', value: 60, class: 'warning' }] },
+            { key: 'Turbidity_Outlet', unit: ' NTU', precision: 1 },
+            { key: 'Scraper_Status', type: 'status' }
+        ]
+    },
+    FTR: {
+        title: 'Filter Unit',
+        fields: [
+            { key: 'Flow_Rate', unit: ' m³/h', precision: 1 },
+            { key: 'Differential_Pressure', unit: ' bar', precision: 2, status: [{ when: '>', value: 1.5, class: 'warning' }] },
+            { key: 'Backwash_Status', type: 'status', labels: ['ACTIVE', 'OFF'], classes: ['warning', ''] }
+        ]
+    },
+    CWT: {
+        title: 'Clean Water Tank',
+        fields: [
+            { key: 'Level', unit: '%', precision: 1 },
+            { key: 'High_Level_Alarm', type: 'alarm' },
+            { key: 'Low_Level_Alarm', type: 'alarm' },
+            { key: 'pH', precision: 1 },
+            { key: 'Turbidity', unit: ' NTU', precision: 1, status: [{ when: '>', value: 1, class: 'warning' }] },
+            { key: 'Residual_Chlorine', unit: ' mg/L', precision: 2, status: [{ when: '<', value: 0.2, class: 'alarm' }] }
+        ]
+    },
+    SLT: {
+        title: 'Sludge Tank',
+        fields: [
+            { key: 'Level', unit: '%', precision: 1 },
+            { key: 'Pump_Status', type: 'status' }
+        ]
+    },
+    CDP: {
+        title: 'Chemical Dosing Pump',
+        fields: [
+            { key: 'Status', type: 'status' },
+            { key: 'Mode', type: 'text' },
+            { key: 'Dosing_Rate', unit: ' L/h', precision: 1 },
+            { key: 'Total_Chemical_Used', unit: ' L', precision: 0 },
+            { key: 'Pressure', unit: ' bar', precision: 1 },
+            { key: 'Fault', type: 'alarm' }
+        ]
+    },
+    PPS: {
+        title: 'Main Pump Station',
+        fields: [
+            { key: 'Status', type: 'status' },
+            { key: 'Mode', type: 'text' },
+            { key: 'Flow_Rate', unit: ' m³/h', precision: 1 },
+            { key: 'Outlet_Pressure', unit: ' bar', precision: 1 },
+            { key: 'Fault', type: 'alarm' }
+        ]
+    },
+    PLT: {
+        title: 'Plant Overall',
+        fields: [
+            { key: 'Total_Inflow', unit: ' m³/h', precision: 1 },
+            { key: 'Total_Outflow', unit: ' m³/h', precision: 1 },
+            { key: 'System_Mode', type: 'text' },
+            { key: 'Alarm_Status', type: 'alarm' }
+        ]
+    }
+};
+
+const BOOLEAN_PRESETS = {
+    alarm: { labels: ['YES', 'NO'], classes: ['alarm', 'ok'] },
+    status: { labels: ['ON', 'OFF'], classes: ['ok', ''] }
+};
+
+const STATUS_OPERATORS = {
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '==': (a, b) => a === b
+};
+
+// Schema in use - DASHBOARD_SCHEMA with the plant profile's components merged over it
+let dashboardSchema = DASHBOARD_SCHEMA;
+
+// Rendered value elements: { el, path, field }
+let dashboardValues = [];
+
+/**
+ * Section id -> plantData path of the component it shows, e.g. 'sct-2-status' -> 'SCT.1'.
+ * Filled by renderDashboard().
+ */
+const TREND_SECTIONS = {};
+
+function getSectionId(component, index) {
+    const code = component.toLowerCase();
+    return index === null ? `${code}-status` : `${code}-${index + 1}-status`;
+}
+
+/**
+ * Text and status class of a value as the schema formats it
+ */
+function formatDashboardValue(field, value, apiUnit) {
+    const type = field.type || 'number';
+
+    if (type === 'alarm' || type === 'status') {
+        if (typeof value !== 'boolean') return { text: '--', className: '' };
+        const preset = BOOLEAN_PRESETS[type];
+        const [onLabel, offLabel] = field.labels || preset.labels;
+        const [onClass, offClass] = field.classes || preset.classes;
+        return value ? { text: onLabel, className: onClass } : { text: offLabel, className: offClass };
+    }
+
+    if (type === 'text') {
+        const text = value ?? field.default;
+        return { text: text === null || text === undefined || text === '' ? '--' : String(text), className: '' };
+    }
+
+    const text = formatNumber(value, field.precision ?? 1, field.unit ?? (apiUnit ? ` ${apiUnit}` : ''));
+    if (text === undefined) return { text: '--', className: '' };
+    const rule = (field.status || []).find(r => STATUS_OPERATORS[r.when]?.(value, r.value));
+    return { text, className: rule?.class || '' };
+}
+
+/**
+ * Build the info panel: one section per component, and per tank instance for
+ * instanced components. Called at startup and when the plant profile changes.
+ */
+function renderDashboard() {
+    const panel = document.getElementById('info-panel');
+    if (!panel) return;
+
+    panel.querySelectorAll('.status-section').forEach(section => section.remove());
+    Object.keys(TREND_SECTIONS).forEach(id => delete TREND_SECTIONS[id]);
+    dashboardValues = [];
+
+    Object.entries(dashboardSchema).forEach(([component, { title, fields, expanded }]) => {
+        const count = plantInstances[component];
+        const indexes = count === undefined ? [null] : Array.from({ length: count }, (_, i) => i);
+
+        indexes.forEach(index => {
+            const id = getSectionId(component, index);
+            const path = getComponentPath(component, index);
+            TREND_SECTIONS[id] = path;
+
+            // Titles, labels and keys may come from a profile URL, so no innerHTML here
+            const section = document.createElement('div');
+            section.className = `status-section${expanded ? '' : ' collapsed'}`;
+            section.id = id;
+
+            const heading = document.createElement('h3');
+            heading.textContent = `${title}${index === null ? '' : ` ${index + 1}`} (${component})`;
+            heading.addEventListener('click', () => section.classList.toggle('collapsed'));
+
+            const content = document.createElement('div');
+            content.className = 'status-content';
+
+            fields.forEach(field => {
+                const item = document.createElement('div');
+                item.className = 'status-item';
+                const label = document.createElement('span');
+                label.className = 'label';
+                label.textContent = field.label || formatMetricLabel(field.key);
+                const value = document.createElement('span');
+                value.className = 'value';
+                value.textContent = '--';
+                item.append(label, value);
+                content.appendChild(item);
+                dashboardValues.push({ el: value, path: `${path}.${field.key}`, field });
+            });
+
+            section.append(heading, content);
+            panel.appendChild(section);
+        });
+    });
+
+    setupTrendCharts();
+    updateDashboard();
+}
+
+// ============================================================================
+// HISTORY & TREND CHARTS
+// ============================================================================
+
+const HISTORY_CONFIG = {
+    rawRetention: 60 * 60 * 1000,        // Keep every sample for the last hour
+    bucketSize: 60 * 1000,               // Older samples are averaged into 1-minute buckets
+    bucketRetention: 24 * 60 * 60 * 1000, // Buckets are kept for 24 hours
+    ranges: {
+        '15m': 15 * 60 * 1000,
+        '1h': 60 * 60 * 1000,
+        '24h': 24 * 60 * 60 * 1000
+    },
+    defaultRange: '15m'
+};
+
+// Metric key (e.g. 'RWT.Level', 'CWT.0.Residual_Chlorine') -> { raw: [[t, v]], buckets: [[t, sum, count]] }
+const metricHistory = {};
+
+// Selected range per dashboard section
+const trendRanges = {};
+
+/**
+ * Flatten every numeric leaf of a plant data object into dotted metric keys
+ */
+function flattenMetrics(data, prefix = '', out = {}) {
+    if (data === null || data === undefined) return out;
+
+    Object.entries(data).forEach(([key, value]) => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            out[path] = value;
+        } else if (value && typeof value === 'object') {
+            flattenMetrics(value, path, out);
+        }
+    });
+    return out;
+}
+
+/**
+ * Append the current value of every metric to the rolling history buffer
+ */
+function recordHistory(data, timestamp) {
+    const metrics = flattenMetrics(data);
+
+    Object.entries(metrics).forEach(([key, value]) => {
+        if (!metricHistory[key]) {
+            metricHistory[key] = { raw: [], buckets: [] };
+        }
+        const series = metricHistory[key];
+        series.raw.push([timestamp, value]);
+
+        // Fold samples older than the raw window into 1-minute buckets
+        const rawCutoff = timestamp - HISTORY_CONFIG.rawRetention;
+        while (series.raw.length && series.raw[0][0] < rawCutoff) {
+            const [t, v] = series.raw.shift();
+            const bucketStart = Math.floor(t / HISTORY_CONFIG.bucketSize) * HISTORY_CONFIG.bucketSize;
+            const last = series.buckets[series.buckets.length - 1];
+            if (last && last[0] === bucketStart) {
+                last[1] += v;
+                last[2]++;
+            } else {
+                series.buckets.push([bucketStart, v, 1]);
+            }
+        }
+
+        const bucketCutoff = timestamp - HISTORY_CONFIG.bucketRetention;
+        while (series.buckets.length && series.buckets[0][0] < bucketCutoff) {
+            series.buckets.shift();
+        }
+    });
+}
+
+/**
+ * Get [[timestamp, value]] samples for a metric within the last rangeMs
+ */
+function getHistorySeries(key, rangeMs, now = getCurrentTime()) {
+    const series = metricHistory[key];
+    if (!series) return [];
+
+    const from = now - rangeMs;
+    const points = [];
+    series.buckets.forEach(([t, sum, count]) => {
+        if (t >= from) points.push([t, sum / count]);
+    });
+    series.raw.forEach(([t, v]) => {
+        if (t >= from) points.push([t, v]);
+    });
+    return points;
+}
+
+function clearHistory() {
+    Object.keys(metricHistory).forEach(key => delete metricHistory[key]);
+}
+
+/**
+ * Classify the direction of a series using a least-squares slope.
+ * Returns 'up', 'down' or 'steady' plus the change over the range.
+ */
+function getTrendDirection(points) {
+    if (points.length < 2) return { direction: 'steady', change: 0 };
+
+    const t0 = points[0][0];
+    let sumX = 0, sumY = 0, sumXY = 0, sumXX = 0;
+    let min = Infinity, max = -Infinity;
+    points.forEach(([t, v]) => {
+        const x = t - t0;
+        sumX += x;
+        sumY += v;
+        sumXY += x * v;
+        sumXX += x * x;
+        min = Math.min(min, v);
+        max = Math.max(max, v);
+    });
+
+    const n = points.length;
+    const denominator = n * sumXX - sumX * sumX;
+    if (denominator === 0) return { direction: 'steady', change: 0 };
+
+    const slope = (n * sumXY - sumX * sumY) / denominator;
+    const change = slope * (points[n - 1][0] - t0);
+
+    // Ignore changes smaller than 2% of the observed span (or of the value itself when flat)
+    const span = Math.max(max - min, Math.abs(sumY / n) * 0.05, 1e-6);
+    if (Math.abs(change) < span * 0.02) return { direction: 'steady', change };
+    return { direction: change > 0 ? 'up' : 'down', change };
+}
+
+function formatMetricLabel(field) {
+    return field.replace(/_/g, ' ');
+}
+
+/**
+ * Add a trend block (range selector + one sparkline per numeric metric)
+ * to every collapsible dashboard section
+ */
+function setupTrendCharts() {
+    const defaults = getDefaultPayload();
+
+    Object.entries(TREND_SECTIONS).forEach(([sectionId, path]) => {
+        const section = document.getElementById(sectionId);
+        const content = section?.querySelector('.status-content');
+        if (!content) return;
+
+        const sample = path.split('.').reduce((obj, key) => obj?.[key], defaults);
+        const fields = Object.keys(flattenMetrics(sample));
+        if (fields.length === 0) return;
+
+        trendRanges[sectionId] = HISTORY_CONFIG.defaultRange;
+
+        const block = document.createElement('div');
+        block.className = 'trend-block';
+        block.innerHTML = `
+            <div class="trend-ranges">
+                ${Object.keys(HISTORY_CONFIG.ranges).map(range => `
+                    <button data-range="${range}" class="${range === HISTORY_CONFIG.defaultRange ? 'active' : ''}">${range}</button>
+                `).join('')}
+            </div>
+            ${fields.map(field => `
+                <div class="trend-row" data-metric="${escapeHtml(`${path}.${field}`)}">
+                    <span class="trend-label">${escapeHtml(formatMetricLabel(field))}</span>
+                    <canvas class="trend-canvas"></canvas>
+                    <span class="trend-arrow steady">-</span>
+                </div>
+            `).join('')}
+        `;
+        content.appendChild(block);
+
+        block.querySelectorAll('.trend-ranges button').forEach(btn => {
+            btn.addEventListener('click', () => {
+                trendRanges[sectionId] = btn.dataset.range;
+                block.querySelectorAll('.trend-ranges button').forEach(b => {
+                    b.classList.toggle('active', b === btn);
+                });
+                drawSectionTrends(section);
+            });
+        });
+
+        // Charts of collapsed sections are skipped, so draw as soon as one is expanded
+        section.querySelector('h3')?.addEventListener('click', () => {
+            requestAnimationFrame(() => drawSectionTrends(section));
+        });
+    });
+}
+
+function updateTrendCharts() {
+    Object.keys(TREND_SECTIONS).forEach(sectionId => {
+        const section = document.getElementById(sectionId);
+        if (section && !section.classList.contains('collapsed')) {
+            drawSectionTrends(section);
+        }
+    });
+}
+
+function drawSectionTrends(section) {
+    const rangeMs = HISTORY_CONFIG.ranges[trendRanges[section.id]] || HISTORY_CONFIG.ranges[HISTORY_CONFIG.defaultRange];
+    const now = getCurrentTime();
+
+    section.querySelectorAll('.trend-row').forEach(row => {
+        const points = getHistorySeries(row.dataset.metric, rangeMs, now);
+        drawSparkline(row.querySelector('canvas'), points, now - rangeMs, now);
+
+        const arrow = row.querySelector('.trend-arrow');
+        const { direction, change } = getTrendDirection(points);
+        arrow.className = `trend-arrow ${direction}`;
+        arrow.textContent = direction === 'up' ? '▲' : direction === 'down' ? '▼' : '-';
+        arrow.title = points.length > 1
+            ? `${change >= 0 ? '+' : ''}${change.toFixed(2)} over ${trendRanges[section.id]}`
+            : 'Not enough data';
+    });
+}
+
+function drawSparkline(canvas, points, from, to) {
+    if (!canvas) return;
+
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth * ratio;
+    const height = canvas.clientHeight * ratio;
+    if (width === 0 || height === 0) return;
+    if (canvas.width !== width) canvas.width = width;
+    if (canvas.height !== height) canvas.height = height;
+
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, width, height);
+    if (points.length === 0) return;
+
+    let min = Infinity, max = -Infinity;
+    points.forEach(([, v]) => {
+        min = Math.min(min, v);
+        max = Math.max(max, v);
+    });
+    if (max - min < 1e-6) {
+        min -= 1;
+        max += 1;
+    }
+
+    const pad = 2 * ratio;
+    const x = t => pad + ((t - from) / (to - from)) * (width - pad * 2);
+    const y = v => height - pad - ((v - min) / (max - min)) * (height - pad * 2);
+
+    ctx.strokeStyle = '#4fc3f7';
+    ctx.lineWidth = ratio;
+    ctx.beginPath();
+    points.forEach(([t, v], i) => {
+        if (i === 0) ctx.moveTo(x(t), y(v));
+        else ctx.lineTo(x(t), y(v));
+    });
+    ctx.stroke();
+
+    // Mark the latest value
+    const [lastT, lastV] = points[points.length - 1];
+    ctx.fillStyle = '#fff';
+    ctx.beginPath();
+    ctx.arc(x(lastT), y(lastV), 1.5 * ratio, 0, Math.PI * 2);
+    ctx.fill();
+
+    canvas.title = `min ${min.toFixed(2)} / max ${max.toFixed(2)}`;
+}
+
+// ============================================================================
+// COMPONENT PICKING & DETAIL DRAWER
+// ============================================================================
+
+const raycaster = new THREE.Raycaster();
+const pointer = new THREE.Vector2();
+let pickMeshes = [];            // Every mesh that can be hit
+const pickLookup = new Map();   // Mesh -> { component, index, name }
+let pointerMoved = false;
+let pointerDownAt = null;
+let hoveredPick = null;
+let hoverHelper = null;
+let selectedPick = null;
+
+/**
+ * Register every mesh of a component object so a ray hit can be traced back
+ * to the component (and tank instance) it belongs to
+ */
+function registerPickable(object, pick) {
+    object.traverse(child => {
+        if (child.isMesh && !pickLookup.has(child)) {
+            pickLookup.set(child, pick);
+            pickMeshes.push(child);
+        }
+    });
+}
+
+/**
+ * Build the pick lookup from the mapped components - called once the model is loaded
+ */
+function setupPicking() {
+    pickMeshes = [];
+    pickLookup.clear();
+
+    // Mixers and scrapers sit inside their tanks, so they resolve to the tank
+    if (components.mixers.CFT_Mixer) registerPickable(components.mixers.CFT_Mixer, { component: 'CFT', index: null });
+    (components.mixers.SCT_Scraper || []).forEach((scraper, index) => {
+        registerPickable(scraper, { component: 'SCT', index });
+    });
+
+    Object.entries(components.tanks).forEach(([key, value]) => {
+        const component = key.split('_')[0];
+        const objects = Array.isArray(value) ? value : [value];
+        objects.forEach((object, index) => {
+            registerPickable(object, { component, index: component in plantInstances ? index : null });
+        });
+    });
+
+    Object.entries(components.pumps).forEach(([component, object]) => registerPickable(object, { component, index: null }));
+    Object.entries(components.filters).forEach(([component, object]) => registerPickable(object, { component, index: null }));
+    Object.entries(components.pipes).forEach(([name, object]) => registerPickable(object, { component: 'PIPE', index: null, name }));
+
+    const canvas = renderer.domElement;
+    canvas.addEventListener('pointermove', (e) => {
+        setPointer(e);
+        pointerMoved = true;
+    });
+    canvas.addEventListener('pointerleave', () => setHoveredPick(null));
+    canvas.addEventListener('pointerdown', (e) => {
+        pointerDownAt = { x: e.clientX, y: e.clientY };
+    });
+    canvas.addEventListener('pointerup', (e) => {
+        // Ignore the end of an orbit/pan drag
+        if (!pointerDownAt || Math.hypot(e.clientX - pointerDownAt.x, e.clientY - pointerDownAt.y) > 5) return;
+        setPointer(e);
+        const pick = pickAtPointer();
+        if (e.button === 2) openContextMenu(pick, e.clientX, e.clientY);
+        else if (pick && can('inspect')) inspectComponent(pick.component, pick.index, pick.name);
+    });
+    canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+}
+
+function setPointer(e) {
+    const rect = renderer.domElement.getBoundingClientRect();
+    pointer.x = ((e.clientX - rect.left) / rect.width) * 2 - 1;
+    pointer.y = -((e.clientY - rect.top) / rect.height) * 2 + 1;
+}
+
+function isShown(object) {
+    for (let o = object; o; o = o.parent) {
+        if (!o.visible) return false;
+    }
+    return true;
+}
+
+function pickAtPointer() {
+    if (pickMeshes.length === 0) return null;
+    raycaster.setFromCamera(pointer, camera);
+    const hit = raycaster.intersectObjects(pickMeshes, false).find(h => isShown(h.object));
+    return hit ? pickLookup.get(hit.object) : null;
+}
+
+const isSamePick = (a, b) => a && b && a.component === b.component && a.index === b.index && a.name === b.name;
+
+/**
+ * The 3D objects that make up a picked component (all parts of a tank instance)
+ */
+function getPickObjects(pick) {
+    const objects = new Set();
+    pickLookup.forEach((value, mesh) => {
+        if (isSamePick(value, pick)) objects.add(mesh);
+    });
+    return [...objects];
+}
+
+/**
+ * Raycast only after the pointer moved - called from the animation loop
+ */
+function updateHover() {
+    if (!pointerMoved) return;
+    pointerMoved = false;
+    setHoveredPick(pickAtPointer());
+}
+
+function setHoveredPick(pick) {
+    if (isSamePick(pick, hoveredPick)) return;
+    hoveredPick = pick;
+
+    if (hoverHelper) {
+        scene.remove(hoverHelper);
+        hoverHelper.geometry.dispose();
+        hoverHelper = null;
+    }
+    renderer.domElement.style.cursor = pick ? 'pointer' : '';
+    if (!pick) return;
+
+    const box = new THREE.Box3();
+    getPickObjects(pick).forEach(object => box.expandByObject(object));
+    hoverHelper = new THREE.Box3Helper(box, CONFIG.colors.cleanWater);
+    scene.add(hoverHelper);
+}
+
+/**
+ * plantData path of a component instance, e.g. 'SCT.1'
+ */
+function getComponentPath(component, index) {
+    return index !== null && index !== undefined ? `${component}.${index}` : component;
+}
+
+function getComponentTitle(component, index, name) {
+    if (component === 'PIPE') return `Pipe ${name}`;
+    return `${dashboardSchema[component]?.title || component}${index !== null && index !== undefined ? ` ${index + 1}` : ''}`;
+}
+
+/**
+ * Open the detail drawer for a component and expand its dashboard section
+ */
+function inspectComponent(component, index = null, name = undefined) {
+    if (!checkPermission('inspect', 'inspect component')) return;
+    selectedPick = { component, index, name };
+
+    document.querySelectorAll('.status-section.picked').forEach(el => el.classList.remove('picked'));
+    const path = getComponentPath(component, index);
+    const sectionId = Object.keys(TREND_SECTIONS).find(id => TREND_SECTIONS[id] === path);
+    const section = sectionId && document.getElementById(sectionId);
+    if (section) {
+        section.classList.remove('collapsed');
+        section.classList.add('picked');
+        section.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+        drawSectionTrends(section);
+    }
+
+    document.getElementById('detail-drawer')?.classList.add('active');
+    updateDetailDrawer();
+}
+
+function closeDetailDrawer() {
+    selectedPick = null;
+    document.getElementById('detail-drawer')?.classList.remove('active');
+    document.querySelectorAll('.status-section.picked').forEach(el => el.classList.remove('picked'));
+}
+
+function formatFieldValue(value, unit) {
+    if (value === null || value === undefined) return '--';
+    if (typeof value === 'boolean') return value ? 'YES' : 'NO';
+    if (typeof value === 'number') return `${Number.isInteger(value) ? value : value.toFixed(2)}${unit ? ` ${unit}` : ''}`;
+    return String(value);
+}
+
+/**
+ * Render the selected component: live fields, trends and alarms.
+ * Called on every data update while the drawer is open.
+ */
+function updateDetailDrawer() {
+    const drawer = document.getElementById('detail-drawer');
+    if (!drawer || !selectedPick) return;
+
+    const { component, index, name } = selectedPick;
+    const path = getComponentPath(component, index);
+    const data = component === 'PIPE' ? getPipeLinkInfo(name) : getValueAtPath(plantData, path);
+    const schemaFields = window.WTPAPI?.getFieldSchema?.().fields || {};
+
+    document.getElementById('detail-title').textContent = getComponentTitle(component, index, name);
+
+    const fields = data && typeof data === 'object' ? Object.entries(data) : [];
+    document.getElementById('detail-fields').innerHTML = fields.length
+        ? fields.map(([field, value]) => `
+            <div class="status-item">
+                <span class="label">${escapeHtml(formatMetricLabel(field))}</span>
+                <span class="value${isStale(`${path}.${field}`) ? ' stale' : ''}" title="${formatUpdatedAt(`${path}.${field}`)}">${escapeHtml(formatFieldValue(value, schemaFields[`${path}.${field}`]?.unit))}</span>
+            </div>
+        `).join('')
+        : '<div class="detail-empty">No live data for this component</div>';
+
+    // Sparklines for the last hour of every numeric field
+    const trends = document.getElementById('detail-trends');
+    // Pipes have no history of their own - the rate trend is shown on the driving component
+    const numeric = component === 'PIPE' ? [] : fields.filter(([, value]) => typeof value === 'number').map(([field]) => field);
+    const rowsKey = `${path}:${numeric.join(',')}`;
+    if (trends.dataset.key !== rowsKey) {
+        trends.dataset.key = rowsKey;
+        trends.innerHTML = numeric.map(field => `
+            <div class="trend-row" data-metric="${escapeHtml(`${path}.${field}`)}">
+                <span class="trend-label">${escapeHtml(formatMetricLabel(field))}</span>
+                <canvas class="trend-canvas"></canvas>
+            </div>
+        `).join('');
+    }
+    const now = getCurrentTime();
+    const rangeMs = HISTORY_CONFIG.ranges['1h'];
+    trends.querySelectorAll('.trend-row').forEach(row => {
+        drawSparkline(row.querySelector('canvas'), getHistorySeries(row.dataset.metric, rangeMs, now), now - rangeMs, now);
+    });
+
+    const alarms = activeAlarms.filter(alarm =>
+        alarm.component === component && (index === null || alarm.index === null || alarm.index === index));
+    document.getElementById('detail-alarms').innerHTML = alarms.length
+        ? alarms.map(alarm => `
+            <div class="alarm-item severity-${escapeHtml(alarm.severity)}">
+                <span>${escapeHtml(alarm.name)}</span>
+                <span class="alarm-state">${ALARM_STATE_LABELS[alarm.state]}</span>
+            </div>
+        `).join('')
+        : '<div class="detail-empty">No active alarms</div>';
+}
+
+function setupDetailDrawer() {
+    document.getElementById('detail-close')?.addEventListener('click', closeDetailDrawer);
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && selectedPick) closeDetailDrawer();
+    });
+}
+
+// ============================================================================
+// OPERATOR COMMANDS (context menu, confirmation, status)
+// ============================================================================
+
+// Finished commands stay in the command log this long
+const COMMAND_LOG_LINGER = 15000;
+
+const COMMAND_STATE_LABELS = {
+    sending: 'SENDING',
+    pending: 'WAITING FOR TELEMETRY',
+    confirmed: 'CONFIRMED',
+    failed: 'FAILED'
+};
+
+let commandLog = [];
+let commandLogTimer = null;
+let pendingConfirmation = null;
+
+/**
+ * Why commands cannot be sent right now, or null when they can
+ */
+function getCommandBlocker() {
+    if (replay.active) return 'Not available during replay';
+    if (simulationInterval !== null) return 'Not available while simulating';
+    if (!window.WTPAPI?.isPolling() || window.WTPAPI.getConnectionStatus() !== 'connected') return 'No live connection';
+    return null;
+}
+
+function formatCommandValue(value) {
+    return typeof value === 'boolean' ? (value ? 'ON' : 'OFF') : String(value ?? '--');
+}
+
+/**
+ * Right-click menu for a component (or the plant when nothing was hit)
+ */
+function openContextMenu(pick, x, y) {
+    const menu = document.getElementById('context-menu');
+    if (!menu) return;
+
+    const { component, index = null, name } = pick || { component: 'PLT' };
+    const commands = component === 'PIPE' || !can('commands') ? [] : window.WTPAPI?.getAvailableCommands?.(component, index) || [];
+    const inspectable = component !== 'PLT' && can('inspect');
+    if (!inspectable && commands.length === 0) return;
+
+    const blocker = getCommandBlocker();
+    const busy = new Set(commandLog.filter(c => c.state === 'sending' || c.state === 'pending').map(c => c.path));
+
+    const items = commands.map(command => {
+        const current = getValueAtPath(plantData, command.path);
+        const reason = blocker || (busy.has(command.path) ? 'A command is in progress'
+            : current === command.value ? `Already ${formatCommandValue(current)}` : null);
+        return `<button data-command="${escapeHtml(command.key)}" ${reason ? `disabled title="${escapeHtml(reason)}"` : ''}>${escapeHtml(command.label)}</button>`;
+    });
+
+    menu.innerHTML = `
+        <div class="context-title">${escapeHtml(component === 'PLT' ? dashboardSchema.PLT?.title || 'Plant' : getComponentTitle(component, index, name))}</div>
+        ${inspectable ? '<button data-inspect>Inspect</button>' : ''}
+        ${items.length ? (inspectable ? '<div class="context-separator"></div>' : '') + items.join('') : ''}
+        ${items.length && blocker ? `<div class="context-note">${escapeHtml(blocker)}</div>` : ''}
+    `;
+
+    menu.querySelector('[data-inspect]')?.addEventListener('click', () => {
+        closeContextMenu();
+        inspectComponent(component, index, name);
+    });
+    menu.querySelectorAll('[data-command]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            closeContextMenu();
+            requestCommand(component, index, btn.dataset.command);
+        });
+    });
+
+    menu.style.left = `${Math.min(x, window.innerWidth - 200)}px`;
+    menu.style.top = `${Math.min(y, window.innerHeight - menu.childElementCount * 30 - 20)}px`;
+    menu.classList.add('active');
+}
+
+function closeContextMenu() {
+    document.getElementById('context-menu')?.classList.remove('active');
+}
+
+/**
+ * First step: show what the command will do and wait for confirmation
+ */
+function requestCommand(component, index, key) {
+    if (!checkPermission('commands', 'send command')) return;
+    const command = window.WTPAPI?.getAvailableCommands?.(component, index).find(c => c.key === key);
+    const dialog = document.getElementById('command-confirm');
+    if (!command || !dialog) return;
+
+    const title = component === 'PLT' ? dashboardSchema.PLT?.title || 'Plant' : getComponentTitle(component, index);
+    pendingConfirmation = { component, index, key };
+    document.getElementById('command-confirm-text').textContent = `${command.label} - ${title}`;
+    document.getElementById('command-confirm-detail').textContent =
+        `${formatMetricLabel(command.field)}: ${formatCommandValue(getValueAtPath(plantData, command.path))} → ${formatCommandValue(command.value)}`;
+    dialog.classList.add('active');
+    document.getElementById('command-confirm-cancel').focus();
+}
+
+function closeCommandConfirm() {
+    pendingConfirmation = null;
+    document.getElementById('command-confirm')?.classList.remove('active');
+}
+
+/**
+ * Second step: send the confirmed command
+ */
+function confirmCommand() {
+    if (!pendingConfirmation) return;
+    const { component, index, key } = pendingConfirmation;
+    closeCommandConfirm();
+
+    const blocker = getCommandBlocker();
+    if (blocker) {
+        console.warn(`Command not sent: ${blocker}`);
+        return;
+    }
+    window.WTPAPI.sendCommand(component, index, key).catch(error => console.error(error));
+}
+
+/**
+ * Called by WTPAPI whenever a command changes state
+ */
+function updateCommandStatus(commands) {
+    commandLog = commands;
+    renderCommandLog();
+}
+
+function renderCommandLog() {
+    const panel = document.getElementById('command-log');
+    if (!panel) return;
+
+    clearTimeout(commandLogTimer);
+    const now = Date.now();
+    const visible = commandLog.filter(c => !c.finishedAt || now - new Date(c.finishedAt).getTime() < COMMAND_LOG_LINGER);
+
+    panel.style.display = visible.length ? 'block' : 'none';
+    // command.error is the message of the command endpoint, so the rows are built as text
+    panel.replaceChildren(...visible.map(command => {
+        const item = document.createElement('div');
+        item.className = `command-item ${command.state}`;
+        item.title = command.error || '';
+
+        const label = document.createElement('span');
+        label.textContent = `${command.label} - ${command.component === 'PLT' ? 'Plant' : getComponentTitle(command.component, command.index)}`;
+        const state = document.createElement('span');
+        state.className = 'command-state';
+        state.textContent = COMMAND_STATE_LABELS[command.state];
+        item.append(label, state);
+
+        if (command.error) {
+            const error = document.createElement('div');
+            error.className = 'command-error';
+            error.textContent = command.error;
+            item.appendChild(error);
+        }
+        return item;
+    }));
+
+    // Drop finished commands from the log once they have lingered
+    const finished = visible.filter(c => c.finishedAt);
+    if (finished.length) {
+        const expires = Math.min(...finished.map(c => new Date(c.finishedAt).getTime() + COMMAND_LOG_LINGER));
+        commandLogTimer = setTimeout(renderCommandLog, Math.max(expires - now, 0) + 50);
+    }
+}
+
+function setupCommands() {
+    document.getElementById('command-confirm-ok')?.addEventListener('click', confirmCommand);
+    document.getElementById('command-confirm-cancel')?.addEventListener('click', closeCommandConfirm);
+    document.addEventListener('pointerdown', (e) => {
+        if (!e.target.closest('#context-menu')) closeContextMenu();
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key !== 'Escape') return;
+        closeContextMenu();
+        closeCommandConfirm();
+    });
+}
+
+// ============================================================================
+// PROCESS MODEL (seeded mass-balance simulator)
+// ============================================================================
+
+/**
+ * Plant sizing and control set points for the simulator.
+ * Volumes are at 100 % level; flows are m³/h.
+ */
+const PROCESS_PARAMS = {
+    volumes: { RWT: 600, CFT: 150, SCT: 300, CWT: 400, SLT: 60 },
+    cstVolume: 2000,              // L of coagulant at 100 %
+    coagulantStrength: 480,       // g/L of the coagulant product
+    baseInflow: 120,              // Raw water intake
+    baseDemand: 115,              // Distribution demand (PPS)
+    cwtSetPoint: 70,              // Feed pump throughput keeps the clean water tanks around this level...
+    rwtSetPoint: 65,              // ...and works off raw water stock above this level
+    maxFeed: 170,
+    cftNominal: { flow: 140, level: 60 },  // Gravity outflow reference points
+    sctNominal: { flow: 70, level: 70 },
+    sludgeFactor: 0.0007,         // % sludge per (m³/h x NTU removed) per hour
+    sludgeStart: 35,              // Scraper/withdrawal starts above this %
+    sludgeStop: 10,
+    sludgeWithdrawRate: 12,       // %/h while withdrawing
+    sludgeVolumePerPercent: 0.3,  // m³ of sludge per % of SCT sludge level
+    filterFoulingFactor: 0.00013, // bar per (m³/h x NTU) per hour
+    backwashAt: 1.2,              // bar - stays below the dP alarm unless backwash is held back
+    backwashDuration: 600,        // s
+    backwashFlow: 150,            // Clean water drawn from CWT while backwashing
+    cleanFilterDp: 0.3,
+    chlorineDose: 1.3,            // mg/L added at the CWT inlet
+    chlorineDecay: 0.08,          // 1/h bulk decay
+    sltPumpStart: 80,
+    sltPumpStop: 20,
+    sltPumpFlow: 8,
+    ppsStopLevel: 8,              // PPS trips when either CWT falls below this %
+    ppsRestartLevel: 25,
+    stormChance: 1 / (36 * 3600), // Storm events per simulated second
+    cstRefillLevel: 12,           // Chemical delivery is ordered below this %
+    cstDeliveryDelay: 2 * 3600    // s until the delivery arrives
+};
+
+let processState = null;
+let processRandom = null;
+let processSeed = null;
+
+/**
+ * Seeded PRNG (mulberry32) - the same seed always gives the same run
+ */
+function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function getSimulationSeed() {
+    const seed = Number(new URLSearchParams(window.location.search).get('seed'));
+    return Number.isInteger(seed) ? seed : CONFIG.simulation.seed;
+}
+
+/**
+ * Standard normal sample from the seeded generator (Box-Muller)
+ */
+function randomNormal() {
+    const u = 1 - processRandom();
+    const v = processRandom();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Mean-reverting random walk: drift towards target plus noise scaled to the step
+ */
+function randomWalk(value, target, reversion, sigma, hours) {
+    return value + (target - value) * Math.min(1, reversion * hours) + sigma * Math.sqrt(hours) * randomNormal();
+}
+
+/**
+ * Level change in % for a net flow into a tank over `hours`
+ */
+function levelChange(netFlow, volume, hours) {
+    return (netFlow * hours / volume) * 100;
+}
+
+/**
+ * Free outflow of a gravity-fed tank: nominal flow at the nominal level
+ */
+function gravityOutflow(level, nominalFlow, nominalLevel) {
+    return nominalFlow * Math.sqrt(Math.max(level, 0) / nominalLevel);
+}
+
+const clampPercent = (value) => Math.min(100, Math.max(0, value));
+const roundTo = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Start a new run. The simulated clock starts at 06:00 so the daily
+ * inflow/demand pattern is visible from the beginning.
+ */
+function resetProcessModel(seed = getSimulationSeed()) {
+    processSeed = seed;
+    processRandom = createRandom(seed);
+    processState = {
+        time: 6 * 3600,
+        storm: 0,
+        rwt: { level: 65, inflow: PROCESS_PARAMS.baseInflow, ph: 7.3, turbidity: 35 },
+        feed: 0,
+        cst: { level: 80, refillAt: null },
+        chemicalUsed: 0,
+        cft: { level: 45, outflow: 0 },
+        sct: fitInstances([
+            { level: 52, sludge: 12, withdrawing: false, outflow: 0, outlet: 3 },
+            { level: 50, sludge: 24, withdrawing: false, outflow: 0, outlet: 3 }
+        ], plantInstances.SCT ?? 2),
+        ftr: { dp: 0.6, backwash: 0, flow: 0 },
+        cwt: fitInstances([
+            { level: 75, chlorine: 0.9, turbidity: 0.15 },
+            { level: 78, chlorine: 0.85, turbidity: 0.15 }
+        ], plantInstances.CWT ?? 2),
+        slt: { level: 30, pumping: false, inflow: 0 },
+        pps: { running: true, flow: PROCESS_PARAMS.baseDemand, pressure: 3.0 },
+        cdp: { running: true, dosing: 0, dose: 0, pressure: 2.4 }
+    };
+}
+
+/**
+ * Advance the plant by `dt` simulated seconds using explicit mass balances
+ */
+function stepProcessModel(dt) {
+    const p = PROCESS_PARAMS;
+    const s = processState;
+    const hours = dt / 3600;
+    s.time += dt;
+    const dayPhase = (s.time % 86400) / 86400;
+
+    // Raw water: daily intake pattern, occasional storms with high turbidity
+    if (s.storm <= 0 && processRandom() < p.stormChance * dt) {
+        s.storm = (1 + 2 * processRandom()) * 3600;
+    }
+    const storming = s.storm > 0;
+    s.storm = Math.max(0, s.storm - dt);
+
+    const inflowTarget = p.baseInflow + 15 * Math.sin(2 * Math.PI * (dayPhase - 0.25)) + (storming ? 40 : 0);
+    s.rwt.inflow = Math.max(0, randomWalk(s.rwt.inflow, inflowTarget, 2, 4, hours));
+    s.rwt.turbidity = Math.max(1, randomWalk(s.rwt.turbidity, storming ? 140 : 35, storming ? 1.5 : 0.5, 6, hours));
+    s.rwt.ph = randomWalk(s.rwt.ph, storming ? 7.0 : 7.3, 0.5, 0.05, hours);
+
+    // Feed pump RWT -> CFT: plant throughput follows the clean water level and
+    // the raw water stock; stops when RWT runs dry
+    const cwtAverage = s.cwt.reduce((sum, tank) => sum + tank.level, 0) / s.cwt.length;
+    s.feed = s.rwt.level > 5
+        ? Math.min(p.maxFeed, Math.max(0, p.baseDemand + 4 * (p.cwtSetPoint - cwtAverage) + 1.5 * (s.rwt.level - p.rwtSetPoint)))
+        : 0;
+    // The intake valve closes over the top 10 % instead of overflowing the raw water tank
+    const intake = s.rwt.inflow * Math.min(1, Math.max(0, (99 - s.rwt.level) / 9));
+    s.rwt.level = clampPercent(s.rwt.level + levelChange(intake - s.feed, p.volumes.RWT, hours));
+
+    // Coagulant dosing follows raw turbidity (jar test curve) and feed flow
+    if (s.cst.refillAt !== null && s.time >= s.cst.refillAt) {
+        s.cst.level = 95;
+        s.cst.refillAt = null;
+    } else if (s.cst.refillAt === null && s.cst.level < p.cstRefillLevel) {
+        s.cst.refillAt = s.time + p.cstDeliveryDelay;
+    }
+    s.cdp.running = s.feed > 0 && s.cst.level > 2;
+    s.cdp.dose = 8 + 0.25 * s.rwt.turbidity;  // mg/L
+    s.cdp.dosing = s.cdp.running ? s.feed * s.cdp.dose / p.coagulantStrength : 0;  // L/h
+    s.cdp.pressure = s.cdp.running ? 2.4 + 0.05 * randomNormal() : 0;
+    s.chemicalUsed += s.cdp.dosing * hours;
+    s.cst.level = clampPercent(s.cst.level - (s.cdp.dosing * hours / p.cstVolume) * 100);
+
+    // Coagulation tank drains by gravity into both sedimentation tanks
+    s.cft.outflow = gravityOutflow(s.cft.level, p.cftNominal.flow, p.cftNominal.level);
+    s.cft.level = clampPercent(s.cft.level + levelChange(s.feed - s.cft.outflow, p.volumes.CFT, hours));
+    const coagulated = s.cdp.running;
+    const cftTurbidity = s.rwt.turbidity * 1.1;
+
+    // Sedimentation: settled solids build sludge, withdrawn to SLT with hysteresis
+    s.slt.inflow = 0;
+    s.sct.forEach(tank => {
+        const inflow = s.cft.outflow / s.sct.length;
+        tank.outflow = gravityOutflow(tank.level, p.sctNominal.flow, p.sctNominal.level);
+        tank.level = clampPercent(tank.level + levelChange(inflow - tank.outflow, p.volumes.SCT, hours));
+
+        const carryOver = 1 + Math.max(0, tank.sludge - 50) / 50;
+        tank.outlet = Math.max(0.2, cftTurbidity * (coagulated ? 0.06 : 0.5) * carryOver + 0.2 * randomNormal());
+        tank.sludge += inflow * Math.max(0, cftTurbidity - tank.outlet) * p.sludgeFactor * hours;
+
+        if (tank.sludge > p.sludgeStart) tank.withdrawing = true;
+        if (tank.sludge < p.sludgeStop) tank.withdrawing = false;
+        if (tank.withdrawing) {
+            const removed = Math.min(tank.sludge, p.sludgeWithdrawRate * hours);
+            tank.sludge -= removed;
+            s.slt.inflow += removed * p.sludgeVolumePerPercent / hours;
+        }
+        tank.sludge = clampPercent(tank.sludge);
+    });
+
+    // Filter: differential pressure rises with the solids load until a backwash
+    s.ftr.flow = s.sct.reduce((sum, tank) => sum + tank.outflow, 0);
+    const filterInlet = s.sct.reduce((sum, tank) => sum + tank.outlet, 0) / s.sct.length;
+    const cwtMin = Math.min(...s.cwt.map(tank => tank.level));
+    if (s.ftr.backwash > 0) {
+        s.ftr.backwash = Math.max(0, s.ftr.backwash - dt);
+        s.ftr.dp += (p.cleanFilterDp - s.ftr.dp) * Math.min(1, dt / 120);
+    } else {
+        s.ftr.dp += s.ftr.flow * filterInlet * p.filterFoulingFactor * hours;
+        // Backwash needs clean water - it is held back while the CWTs are low
+        if (s.ftr.dp >= p.backwashAt && cwtMin > 30) s.ftr.backwash = p.backwashDuration;
+    }
+
+    // Product pumps follow the daily demand and trip on low clean water level
+    if (cwtMin < p.ppsStopLevel) s.pps.running = false;
+    if (cwtMin > p.ppsRestartLevel) s.pps.running = true;
+    const demand = p.baseDemand + 25 * Math.sin(2 * Math.PI * (dayPhase - 0.3)) + 3 * randomNormal();
+    s.pps.flow = s.pps.running ? Math.max(0, demand) : 0;
+    s.pps.pressure = s.pps.running ? 3.0 + 0.004 * (s.pps.flow - p.baseDemand) + 0.03 * randomNormal() : 0;
+
+    // Clean water tanks: level balance plus chlorine dosing and first-order decay
+    const backwashDraw = s.ftr.backwash > 0 ? p.backwashFlow : 0;
+    const filtered = filterInlet * 0.04 * (1 + Math.max(0, s.ftr.dp - p.backwashAt));
+    s.cwt.forEach(tank => {
+        const inflow = s.ftr.flow / s.cwt.length;
+        const outflow = (s.pps.flow + backwashDraw) / s.cwt.length;
+        tank.level = clampPercent(tank.level + levelChange(inflow - outflow, p.volumes.CWT, hours));
+
+        const water = Math.max(1, p.volumes.CWT * tank.level / 100);
+        const dose = Math.max(0, p.chlorineDose - 0.05 * filtered * 10);
+        tank.chlorine += (inflow * (dose - tank.chlorine) / water - p.chlorineDecay * tank.chlorine) * hours;
+        tank.chlorine = Math.max(0, tank.chlorine);
+        tank.turbidity = Math.max(0.02, filtered + 0.01 * randomNormal());
+    });
+
+    // Sludge tank is pumped out with hysteresis
+    if (s.slt.level > p.sltPumpStart) s.slt.pumping = true;
+    if (s.slt.level < p.sltPumpStop) s.slt.pumping = false;
+    const sltOut = s.slt.pumping ? p.sltPumpFlow : 0;
+    s.slt.level = clampPercent(s.slt.level + levelChange(s.slt.inflow - sltOut, p.volumes.SLT, hours));
+
+    return getProcessPayload();
+}
+
+/**
+ * Current model state in the updatePlantData() payload format
+ */
+function getProcessPayload() {
+    const s = processState;
+    const noise = (sigma) => sigma * randomNormal();
+
+    const payload = {
+        RWT: {
+            Level: roundTo(s.rwt.level),
+            High_Level_Alarm: s.rwt.level > 95,
+            Low_Level_Alarm: s.rwt.level < 10,
+            Inflow_Rate: roundTo(s.rwt.inflow, 1),
+            Outflow_Rate: roundTo(s.feed, 1),
+            pH: roundTo(s.rwt.ph),
+            Turbidity: roundTo(s.rwt.turbidity, 1)
+        },
+        CDP: {
+            Status: s.cdp.running,
+            Mode: 'AUTO',
+            Dosing_Rate: roundTo(s.cdp.dosing),
+            Total_Chemical_Used: roundTo(s.chemicalUsed, 1),
+            Pressure: roundTo(s.cdp.pressure),
+            Fault: false
+        },
+        CST: {
+            Level: roundTo(s.cst.level),
+            Low_Level_Alarm: s.cst.level < 20
+        },
+        CFT: {
+            Level: roundTo(s.cft.level),
+            Mixer_Status: s.cft.level > 10,
+            pH: roundTo(s.rwt.ph - (s.cdp.running ? 0.012 * s.cdp.dose : 0) + noise(0.02)),
+            Turbidity: roundTo(s.rwt.turbidity * 1.1, 1),
+            Dosing_Rate: roundTo(s.cdp.dosing)
+        },
+        SCT: s.sct.map(tank => ({
+            Level: roundTo(tank.level),
+            Sludge_Level: roundTo(tank.sludge),
+            Turbidity_Outlet: roundTo(tank.outlet),
+            Scraper_Status: tank.withdrawing
+        })),
+        FTR: {
+            Backwash_Status: s.ftr.backwash > 0,
+            Differential_Pressure: roundTo(s.ftr.dp),
+            Flow_Rate: roundTo(s.ftr.flow, 1)
+        },
+        CWT: s.cwt.map(tank => ({
+            Level: roundTo(tank.level),
+            High_Level_Alarm: tank.level > 95,
+            Low_Level_Alarm: tank.level < 10,
+            pH: roundTo(7.2 + noise(0.03)),
+            Turbidity: roundTo(tank.turbidity),
+            Residual_Chlorine: roundTo(tank.chlorine)
+        })),
+        SLT: {
+            Level: roundTo(s.slt.level),
+            Pump_Status: s.slt.pumping
+        },
+        PPS: {
+            Status: s.pps.running,
+            Mode: 'AUTO',
+            Flow_Rate: roundTo(s.pps.flow, 1),
+            Outlet_Pressure: roundTo(s.pps.pressure),
+            Fault: false
+        },
+        PLT: {
+            Total_Inflow: roundTo(s.rwt.inflow, 1),
+            Total_Outflow: roundTo(s.pps.flow, 1),
+            System_Mode: 'AUTO'
+        }
+    };
+
+    payload.PLT.Alarm_Status = payload.RWT.High_Level_Alarm || payload.RWT.Low_Level_Alarm ||
+        payload.CST.Low_Level_Alarm || payload.CWT.some(tank => tank.High_Level_Alarm || tank.Low_Level_Alarm);
+
+    return payload;
+}
+
+/**
+ * Simulated time of day as HH:MM, shown next to the data source
+ */
+function getProcessClock() {
+    if (!processState) return '';
+    const minutes = Math.floor(processState.time / 60);
+    const days = Math.floor(minutes / 1440);
+    const clock = `${String(Math.floor(minutes / 60) % 24).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    return days > 0 ? `day ${days + 1} ${clock}` : clock;
+}
+
+// ============================================================================
+// SIMULATION (for testing without real data)
+// ============================================================================
+
+let simulationInterval = null;
+
+/**
+ * Start feeding simulated data. Live API data is paused while the simulation runs.
+ * Passing a seed starts a new process model run; otherwise a stopped run
+ * continues where it left off.
+ */
+function startSimulation(seed) {
+    if (simulationInterval || !checkPermission('simulation', 'start simulation')) return;
+
+    if (window.WTPAPI?.isPolling()) {
+        window.WTPAPI.stopPolling();
+        simulationPausedApi = true;
+    }
+
+    // Simulated data gets its own history; the live one is restored by stopSimulation()
+    liveHistory = { ...metricHistory };
+    clearHistory();
+
+    if (seed !== undefined || !processState) {
+        resetProcessModel(seed);
+        console.log(`Process simulation started with seed ${processSeed}`);
+    }
+
+    const tick = () => {
+        // Manual mode sends exactly what the panel is set to
+        const simData = simulationMode === 'process'
+            ? stepProcessModel(CONFIG.simulation.stepSeconds)
+            : structuredClone(manualValues);
+
+        updatePlantData(simData);
+        updateSimulationSource();
+    };
+
+    simulationInterval = setInterval(tick, CONFIG.updateInterval);
+    tick();
+    updateSimulationControls();
+}
+
+/**
+ * Data source label with the simulated time of day
+ */
+function updateSimulationSource() {
+    const dataSource = document.getElementById('data-source');
+    if (!dataSource || replay.active) return;
+
+    dataSource.textContent = simulationMode === 'process'
+        ? `Data: Simulation (seed ${processSeed}, ${getProcessClock()})`
+        : 'Data: Simulation (manual)';
+    dataSource.style.color = '#ffd740';
+}
+
+/**
+ * Stop the simulation and restart live data if startSimulation() paused it.
+ * Pass false to keep live data stopped (e.g. when replay takes over).
+ */
+function stopSimulation(resumeLiveData = true) {
+    if (simulationInterval) {
+        clearInterval(simulationInterval);
+        simulationInterval = null;
+
+        // Drop the simulated values, alarms and history so none of it passes for live data
+        resetPlantData();
+        Object.assign(metricHistory, liveHistory);
+        liveHistory = null;
+        updateTrendCharts();
+    }
+
+    // Update data source indicator
+    const dataSource = document.getElementById('data-source');
+    if (dataSource) {
+        dataSource.textContent = 'Data: Stopped';
+        dataSource.style.color = '#888';
+    }
+
+    updateSimulationControls();
+
+    if (resumeLiveData && simulationPausedApi) {
+        simulationPausedApi = false;
+        window.WTPAPI?.startPolling();
+    }
+}
+
+// ============================================================================
+// RECORDING & REPLAY
+// ============================================================================
+
+const REPLAY_SPEEDS = [1, 2, 5, 10, 60, 300, 600];
+const REPLAY_TICK = 100;  // ms between playback steps
+
+// Payloads passed to updatePlantData() while recording, one NDJSON line each
+const recording = {
+    active: false,
+    lines: [],
+    startedAt: null
+};
+
+const replay = {
+    active: false,
+    frames: [],         // [{ t, data }] sorted by time
+    index: 0,           // Next frame to apply
+    position: 0,        // Replay clock (ms since epoch)
+    playing: false,
+    speed: 1,
+    timer: null,
+    lastTick: null,
+    resume: null        // What was feeding data before replay: 'api', 'simulation' or null
+};
+
+/**
+ * Current time for history, trends and alarms - the replay clock while replaying
+ */
+function getCurrentTime() {
+    return replay.active ? replay.position : Date.now();
+}
 
-    // Update UI dashboard
-    updateDashboard();
-    updateLabels();
+function startRecording() {
+    if (recording.active || replay.active) return false;
+
+    recording.active = true;
+    recording.lines = [];
+    recording.startedAt = new Date();
+    updateReplayControls();
+    return true;
 }
 
-function updateDashboard() {
-    // RWT - Raw Water Tank
-    updateElement('rwt-level', plantData.RWT?.Level?.toFixed(1) + '%');
-    updateElement('rwt-high-alarm', plantData.RWT?.High_Level_Alarm ? 'YES' : 'NO',
-        plantData.RWT?.High_Level_Alarm ? 'alarm' : 'ok');
-    updateElement('rwt-low-alarm', plantData.RWT?.Low_Level_Alarm ? 'YES' : 'NO',
-        plantData.RWT?.Low_Level_Alarm ? 'alarm' : 'ok');
-    updateElement('rwt-ph', plantData.RWT?.pH?.toFixed(1));
-    updateElement('rwt-turbidity', plantData.RWT?.Turbidity?.toFixed(1) + ' NTU');
-    updateElement('rwt-inflow', plantData.RWT?.Inflow_Rate?.toFixed(1) + ' m³/h');
-    updateElement('rwt-outflow', plantData.RWT?.Outflow_Rate?.toFixed(1) + ' m³/h');
-
-    // CST - Chemical Storage Tank
-    updateElement('cst-level', plantData.CST?.Level?.toFixed(1) + '%');
-    updateElement('cst-low-alarm', plantData.CST?.Low_Level_Alarm ? 'YES' : 'NO',
-        plantData.CST?.Low_Level_Alarm ? 'alarm' : 'ok');
-
-    // CFT - Coagulation/Flocculation Tank
-    updateElement('cft-level', plantData.CFT?.Level?.toFixed(1) + '%');
-    updateElement('cft-mixer', plantData.CFT?.Mixer_Status ? 'ON' : 'OFF',
-        plantData.CFT?.Mixer_Status ? 'ok' : '');
-    updateElement('cft-ph', plantData.CFT?.pH?.toFixed(1));
-    updateElement('cft-turbidity', plantData.CFT?.Turbidity?.toFixed(1) + ' NTU');
-    updateElement('cft-dosing', plantData.CFT?.Dosing_Rate?.toFixed(1) + ' L/h');
-
-    // SCT - Sedimentation/Clarification Tank (use first tank if array)
-    const sctData = Array.isArray(plantData.SCT) ? plantData.SCT[0] : plantData.SCT;
-    updateElement('sct-level', sctData?.Level?.toFixed(1) + '%');
-    updateElement('sct-sludge', sctData?.Sludge_Level?.toFixed(1) + '%');
-    updateElement('sct-turbidity', sctData?.Turbidity_Outlet?.toFixed(1) + ' NTU');
-    updateElement('sct-scraper', sctData?.Scraper_Status ? 'ON' : 'OFF',
-        sctData?.Scraper_Status ? 'ok' : '');
-
-    // FTR - Filter
-    updateElement('ftr-flow', plantData.FTR?.Flow_Rate?.toFixed(1) + ' m³/h');
-    updateElement('ftr-pressure', plantData.FTR?.Differential_Pressure?.toFixed(2) + ' bar');
-    updateElement('ftr-backwash', plantData.FTR?.Backwash_Status ? 'ACTIVE' : 'OFF',
-        plantData.FTR?.Backwash_Status ? 'warning' : '');
-
-    // CWT - Clean Water Tank (use first tank if array)
-    const cwtData = Array.isArray(plantData.CWT) ? plantData.CWT[0] : plantData.CWT;
-    updateElement('cwt-level', cwtData?.Level?.toFixed(1) + '%');
-    updateElement('cwt-high-alarm', cwtData?.High_Level_Alarm ? 'YES' : 'NO',
-        cwtData?.High_Level_Alarm ? 'alarm' : 'ok');
-    updateElement('cwt-low-alarm', cwtData?.Low_Level_Alarm ? 'YES' : 'NO',
-        cwtData?.Low_Level_Alarm ? 'alarm' : 'ok');
-    updateElement('cwt-ph', cwtData?.pH?.toFixed(1));
-    updateElement('cwt-turbidity', cwtData?.Turbidity?.toFixed(1) + ' NTU');
-    updateElement('cwt-chlorine', cwtData?.Residual_Chlorine?.toFixed(2) + ' mg/L');
-
-    // SLT - Sludge Tank
-    updateElement('slt-level', plantData.SLT?.Level?.toFixed(1) + '%');
-    updateElement('slt-pump', plantData.SLT?.Pump_Status ? 'ON' : 'OFF',
-        plantData.SLT?.Pump_Status ? 'ok' : '');
-
-    // CDP - Chemical Dosing Pump
-    updateElement('cdp-status-val', plantData.CDP?.Status ? 'ON' : 'OFF',
-        plantData.CDP?.Status ? 'ok' : '');
-    updateElement('cdp-mode', plantData.CDP?.Mode);
-    updateElement('cdp-rate', plantData.CDP?.Dosing_Rate?.toFixed(1) + ' L/h');
-    updateElement('cdp-total', plantData.CDP?.Total_Chemical_Used?.toFixed(0) + ' L');
-    updateElement('cdp-pressure', plantData.CDP?.Pressure?.toFixed(1) + ' bar');
-    updateElement('cdp-fault', plantData.CDP?.Fault ? 'YES' : 'NO',
-        plantData.CDP?.Fault ? 'alarm' : 'ok');
-
-    // PPS - Main Pump Station
-    updateElement('pps-pump1', plantData.PPS?.Status ? 'ON' : 'OFF',
-        plantData.PPS?.Status ? 'ok' : '');
-    updateElement('pps-mode', plantData.PPS?.Mode);
-    updateElement('pps-flow', plantData.PPS?.Flow_Rate?.toFixed(1) + ' m³/h');
-    updateElement('pps-pressure', plantData.PPS?.Outlet_Pressure?.toFixed(1) + ' bar');
-    updateElement('pps-fault', plantData.PPS?.Fault ? 'YES' : 'NO',
-        plantData.PPS?.Fault ? 'alarm' : 'ok');
-
-    // PLT - Plant Overall
-    updateElement('plt-inflow', plantData.PLT?.Total_Inflow?.toFixed(1) + ' m³/h');
-    updateElement('plt-outflow', plantData.PLT?.Total_Outflow?.toFixed(1) + ' m³/h');
-    updateElement('plt-mode', plantData.PLT?.System_Mode || 'AUTO');
-    updateElement('plt-alarm', plantData.PLT?.Alarm_Status ? 'YES' : 'NO',
-        plantData.PLT?.Alarm_Status ? 'alarm' : 'ok');
+function recordFrame(payload, timestamp) {
+    recording.lines.push(JSON.stringify({ t: timestamp, data: payload }));
+}
 
-    // System mode indicator
-    const modeEl = document.getElementById('system-mode');
-    if (modeEl) {
-        modeEl.textContent = plantData.PLT?.System_Mode || 'AUTO';
-        modeEl.className = 'mode' +
-            (plantData.PLT?.System_Mode === 'MANUAL' ? ' manual' : '');
+/**
+ * Stop recording and download what was captured as NDJSON
+ */
+function stopRecording() {
+    if (!recording.active) return;
+    recording.active = false;
+    updateReplayControls();
+
+    if (recording.lines.length === 0) {
+        console.warn('Recording stopped - no data was received');
+        return;
     }
+
+    const assetId = window.WTPAPI?.config?.assetId;
+    const stamp = recording.startedAt.toISOString().slice(0, 19).replace(/:/g, '-');
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([recording.lines.join('\n') + '\n'], { type: 'application/x-ndjson' }));
+    link.download = `wtp-recording-${assetId ? `${assetId}-` : ''}${stamp}.ndjson`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+
+    console.log(`Recording saved: ${recording.lines.length} frames`);
+    recording.lines = [];
 }
 
-function updateElement(id, value, statusClass = '') {
-    const el = document.getElementById(id);
-    if (el) {
-        el.textContent = value || '--';
-        el.className = 'value ' + statusClass;
-    }
+/**
+ * Parse an NDJSON recording. Each line is { t, data } where t is epoch ms or an
+ * ISO date string; `timestamp` is accepted instead of `t`.
+ */
+function parseRecording(text) {
+    const frames = [];
+    let skipped = 0;
+
+    text.split('\n').forEach(line => {
+        if (!line.trim()) return;
+        try {
+            const entry = JSON.parse(line);
+            const raw = entry.t ?? entry.timestamp;
+            const t = typeof raw === 'number' ? raw : Date.parse(raw);
+            if (!Number.isFinite(t) || !entry.data || typeof entry.data !== 'object') throw new Error('Invalid frame');
+            frames.push({ t, data: entry.data });
+        } catch (error) {
+            skipped++;
+        }
+    });
+
+    if (skipped) console.warn(`Recording: skipped ${skipped} invalid lines`);
+    return frames.sort((a, b) => a.t - b.t);
 }
 
-// ============================================================================
-// SIMULATION (for testing without real data)
-// ============================================================================
+/**
+ * Enter replay mode with recorded frames (array or NDJSON text).
+ * Live data and simulation are paused and restored by exitReplay().
+ */
+function startReplay(source) {
+    const frames = typeof source === 'string' ? parseRecording(source) : source;
+    if (!frames || frames.length === 0) {
+        console.error('Replay: recording contains no frames');
+        return false;
+    }
 
-let simulationInterval = null;
+    if (recording.active) stopRecording();
+
+    if (!replay.active) {
+        if (window.WTPAPI?.isPolling()) {
+            window.WTPAPI.stopPolling();
+            replay.resume = 'api';
+        } else if (simulationInterval) {
+            stopSimulation(false);
+            replay.resume = 'simulation';
+        } else {
+            replay.resume = null;
+        }
+    }
 
-function startSimulation() {
-    if (simulationInterval) return;
+    pauseReplay();
+    resetPlantData();
+    replay.active = true;
+    replay.frames = frames;
+    // A recording loaded during another replay starts from its own first frame
+    replay.index = 0;
+    replay.position = frames[0].t;
+
+    const scrubber = document.getElementById('replay-scrubber');
+    if (scrubber) {
+        scrubber.min = frames[0].t;
+        scrubber.max = frames[frames.length - 1].t;
+    }
+    document.getElementById('replay-bar')?.classList.add('active');
 
-    // Update data source indicator
     const dataSource = document.getElementById('data-source');
     if (dataSource) {
-        dataSource.textContent = 'Data: Simulation';
-        dataSource.style.color = '#ffd740';
-    }
-
-    // Show manual controls panel
-    // document.getElementById('manual-controls').classList.add('active');
-
-    simulationInterval = setInterval(() => {
-        let simData;
-
-        if (simulationMode === 'random') {
-            // Random simulation mode
-            simData = {
-                RWT: {
-                    Level: 50 + Math.random() * 40,
-                    pH: 6.5 + Math.random() * 1.5,
-                    Turbidity: 30 + Math.random() * 40,
-                    Inflow_Rate: 100 + Math.random() * 50
-                },
-                CFT: {
-                    Level: 40 + Math.random() * 40,
-                    Mixer_Status: true,
-                    pH: 6.0 + Math.random() * 1.5,
-                    Turbidity: 15 + Math.random() * 20
-                },
-                CST: {
-                    Level: 70 + Math.random() * 25
-                },
-                // SCT has 2 tanks - generate array of 2 values
-                SCT: [
-                    {
-                        Level: 60 + Math.random() * 40,
-                        Sludge_Level: 10 + Math.random() * 20,
-                        Scraper_Status: true
-                    },
-                    {
-                        Level: 55 + Math.random() * 45,
-                        Sludge_Level: 8 + Math.random() * 22,
-                        Scraper_Status: true
-                    }
-                ],
-                // CWT has 2 tanks - generate array of 2 values
-                CWT: [
-                    {
-                        Level: 70 + Math.random() * 30,
-                        pH: 6.8 + Math.random() * 0.6,
-                        Residual_Chlorine: 0.5 + Math.random() * 0.8
-                    },
-                    {
-                        Level: 75 + Math.random() * 25,
-                        pH: 6.9 + Math.random() * 0.5,
-                        Residual_Chlorine: 0.6 + Math.random() * 0.7
-                    }
-                ],
-                FTR: {
-                    Flow_Rate: 80 + Math.random() * 40,
-                    Differential_Pressure: 0.5 + Math.random() * 1
-                },
-                PPS: {
-                    Status: Math.random() > 0.3,
-                    Flow_Rate: 90 + Math.random() * 40
-                },
-                CDP: {
-                    Status: true,
-                    Dosing_Rate: 3 + Math.random() * 5
-                },
-                SLT: {
-                    Level: 20 + Math.random() * 40
-                }
-            };
-        } else {
-            // Manual mode - use manual control values
-            simData = {
-                RWT: {
-                    Level: manualValues.rwt.level,
-                    pH: manualValues.rwt.ph,
-                    Turbidity: manualValues.rwt.turbidity,
-                    Inflow_Rate: 100 + Math.random() * 20,
-                    High_Level_Alarm: manualValues.rwt.level > 95,
-                    Low_Level_Alarm: manualValues.rwt.level < 10
-                },
-                CFT: {
-                    Level: manualValues.cft.level,
-                    Mixer_Status: manualValues.cft.mixer,
-                    pH: 6.5 + Math.random() * 0.5,
-                    Turbidity: manualValues.rwt.turbidity * 0.5
-                },
-                SCT: {
-                    Level: manualValues.sct.level,
-                    Sludge_Level: manualValues.sct.sludge,
-                    Scraper_Status: manualValues.sct.scraper
-                },
-                CWT: {
-                    Level: manualValues.cwt.level,
-                    pH: 7.0 + Math.random() * 0.3,
-                    Residual_Chlorine: manualValues.cwt.chlorine
-                },
-                FTR: {
-                    Flow_Rate: 90 + Math.random() * 20,
-                    Differential_Pressure: 0.6 + Math.random() * 0.4
-                },
-                PPS: {
-                    Status: manualValues.pumps.pump1,
-                    Flow_Rate: manualValues.pumps.pump1 ? 110 : 0
-                },
-                CDP: {
-                    Status: manualValues.pumps.cdp,
-                    Dosing_Rate: manualValues.pumps.cdp ? 4 + Math.random() * 2 : 0
-                },
-                SLT: {
-                    Level: 30 + Math.random() * 20
-                }
-            };
+        dataSource.textContent = 'Data: Replay';
+        dataSource.style.color = '#b388ff';
+    }
+
+    seekReplay(frames[0].t);
+    console.log(`Replay loaded: ${frames.length} frames, ${new Date(frames[0].t).toLocaleString()} - ${new Date(frames[frames.length - 1].t).toLocaleString()}`);
+    return true;
+}
+
+/**
+ * Move the replay clock. Going forward applies the frames in between; going
+ * back rebuilds the state from the first frame so history and alarms match.
+ */
+function seekReplay(time) {
+    if (!replay.active) return;
+
+    const { frames } = replay;
+    const target = Math.min(Math.max(time, frames[0].t), frames[frames.length - 1].t);
+
+    if (target < replay.position || replay.index === 0) {
+        plantData = getEmptyPayload();
+        clearHistory();
+        clearFieldUpdates();
+        resetAlarmStates();
+        replay.index = 0;
+    }
+
+    replay.position = target;
+    while (replay.index < frames.length && frames[replay.index].t <= target) {
+        applyPlantData(frames[replay.index].data, frames[replay.index].t);
+        replay.index++;
+    }
+
+    refreshDataViews();
+    updateReplayControls();
+}
+
+function playReplay() {
+    if (!replay.active || replay.playing) return;
+
+    // Restart from the beginning when play is pressed at the end
+    if (replay.index >= replay.frames.length) seekReplay(replay.frames[0].t);
+
+    replay.playing = true;
+    replay.lastTick = performance.now();
+    replay.timer = setInterval(() => {
+        const now = performance.now();
+        const next = replay.position + (now - replay.lastTick) * replay.speed;
+        replay.lastTick = now;
+
+        seekReplay(next);
+        if (replay.index >= replay.frames.length) pauseReplay();
+    }, REPLAY_TICK);
+    updateReplayControls();
+}
+
+function pauseReplay() {
+    if (replay.timer) {
+        clearInterval(replay.timer);
+        replay.timer = null;
+    }
+    replay.playing = false;
+    updateReplayControls();
+}
+
+function setReplaySpeed(speed) {
+    replay.speed = Number(speed) || 1;
+    updateReplayControls();
+}
+
+/**
+ * Leave replay mode and go back to whatever was feeding data before
+ */
+function exitReplay() {
+    if (!replay.active) return;
+
+    pauseReplay();
+    replay.active = false;
+    replay.frames = [];
+    replay.index = 0;
+    resetPlantData();
+    document.getElementById('replay-bar')?.classList.remove('active');
+
+    const resume = replay.resume;
+    replay.resume = null;
+    if (resume === 'api') {
+        window.WTPAPI.startPolling();
+    } else if (resume === 'simulation') {
+        startSimulation();
+    } else {
+        const dataSource = document.getElementById('data-source');
+        if (dataSource) {
+            dataSource.textContent = 'Data: Stopped';
+            dataSource.style.color = '#888';
         }
+    }
+    updateReplayControls();
+}
 
-        updatePlantData(simData);
-    }, CONFIG.updateInterval);
+function updateReplayControls() {
+    const recordBtn = document.getElementById('btn-record');
+    if (recordBtn) {
+        recordBtn.classList.toggle('active', recording.active);
+        recordBtn.textContent = recording.active ? 'Stop Recording' : 'Record';
+        recordBtn.disabled = replay.active;
+    }
+
+    if (!replay.active) return;
+
+    const { frames, position } = replay;
+    const scrubber = document.getElementById('replay-scrubber');
+    // Don't fight the user while they drag
+    if (scrubber && document.activeElement !== scrubber) scrubber.value = position;
+
+    const playBtn = document.getElementById('replay-play');
+    if (playBtn) playBtn.textContent = replay.playing ? '❚❚' : '▶';
+
+    const speed = document.getElementById('replay-speed');
+    if (speed) speed.value = String(replay.speed);
+
+    const time = document.getElementById('replay-time');
+    if (time) {
+        const elapsed = Math.round((position - frames[0].t) / 1000);
+        const total = Math.round((frames[frames.length - 1].t - frames[0].t) / 1000);
+        const fmt = (sec) => `${Math.floor(sec / 3600)}:${String(Math.floor(sec / 60) % 60).padStart(2, '0')}:${String(sec % 60).padStart(2, '0')}`;
+        time.textContent = `${new Date(position).toLocaleString()}  (${fmt(elapsed)} / ${fmt(total)})`;
+    }
 }
 
-function stopSimulation() {
-    if (simulationInterval) {
-        clearInterval(simulationInterval);
-        simulationInterval = null;
+function setupReplay() {
+    const recordBtn = document.getElementById('btn-record');
+    const replayBtn = document.getElementById('btn-replay');
+    const fileInput = document.getElementById('replay-file');
+    if (!recordBtn || !replayBtn || !fileInput) return;
+
+    recordBtn.addEventListener('click', () => {
+        if (recording.active) stopRecording();
+        else startRecording();
+    });
+
+    replayBtn.addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (file) startReplay(await file.text());
+    });
+
+    const speed = document.getElementById('replay-speed');
+    speed.innerHTML = REPLAY_SPEEDS.map(s => `<option value="${s}">${s}×</option>`).join('');
+    speed.addEventListener('change', () => setReplaySpeed(speed.value));
+
+    document.getElementById('replay-play').addEventListener('click', () => {
+        if (replay.playing) pauseReplay();
+        else playReplay();
+    });
+    document.getElementById('replay-scrubber').addEventListener('input', (e) => seekReplay(Number(e.target.value)));
+    document.getElementById('replay-exit').addEventListener('click', exitReplay);
+
+    updateReplayControls();
+}
+
+// ============================================================================
+// CAMERA BOOKMARKS & GUIDED TOUR
+// ============================================================================
+
+// Process stages and the components framed by each stage bookmark
+const STAGE_BOOKMARKS = [
+    { name: 'Intake/RWT', components: ['RWT'] },
+    { name: 'Coagulation', components: ['CST', 'CDP', 'CFT'] },
+    { name: 'Sedimentation', components: ['SCT'] },
+    { name: 'Filtration', components: ['FTR'] },
+    { name: 'Clean Water', components: ['CWT', 'PPS'] },
+    { name: 'Sludge', components: ['SLT'] }
+];
+
+const BOOKMARK_STORAGE_KEY = 'wtp_camera_bookmarks';
+
+// Camera flight in progress: { fromPosition, fromTarget, toPosition, toTarget, start, duration }
+let cameraFlight = null;
+
+const tour = {
+    active: false,
+    index: 0,
+    timer: null
+};
+
+const easeInOutCubic = t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2);
+
+/**
+ * Top-level 3D objects of a component (tank instances, pumps, filters)
+ */
+function getComponentObjects(code) {
+    const found = components.tanks[code] ?? components.pumps[code] ?? components.filters[code];
+    if (!found) return [];
+    return Array.isArray(found) ? found : [found];
+}
+
+/**
+ * Frame a set of components: look at the centre of their bounding box from the
+ * direction of the home view, far enough away for the whole box to fit
+ */
+function getStageView(stage) {
+    const box = new THREE.Box3();
+    stage.components.forEach(code => {
+        getComponentObjects(code).forEach(object => box.expandByObject(object));
+    });
+    if (box.isEmpty()) return null;
+
+    const sphere = box.getBoundingSphere(new THREE.Sphere());
+    const direction = new THREE.Vector3(...CONFIG.camera.home.position)
+        .sub(new THREE.Vector3(...CONFIG.camera.home.target))
+        .normalize();
+    const fitDistance = (sphere.radius * 1.3) / Math.sin(THREE.MathUtils.degToRad(camera.fov / 2));
+    const distance = THREE.MathUtils.clamp(fitDistance, controls.minDistance, controls.maxDistance);
+
+    return {
+        position: sphere.center.clone().addScaledVector(direction, distance).toArray(),
+        target: sphere.center.toArray()
+    };
+}
+
+function loadSavedBookmarks() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(BOOKMARK_STORAGE_KEY));
+        return Array.isArray(saved) ? saved : [];
+    } catch {
+        return [];
     }
+}
 
-    // Update data source indicator
-    const dataSource = document.getElementById('data-source');
-    if (dataSource) {
-        dataSource.textContent = 'Data: Stopped';
-        dataSource.style.color = '#888';
+/**
+ * Persist the saved views - false when storage is full or unavailable (private mode)
+ */
+function storeSavedBookmarks(bookmarks) {
+    try {
+        localStorage.setItem(BOOKMARK_STORAGE_KEY, JSON.stringify(bookmarks));
+        return true;
+    } catch (error) {
+        console.warn('Could not store camera bookmarks:', error);
+        return false;
+    }
+}
+
+/**
+ * All bookmarks: home, process stages (computed from the model) and user-saved views
+ */
+function getCameraBookmarks() {
+    const stages = STAGE_BOOKMARKS
+        .map(stage => ({ name: stage.name, type: 'stage', ...getStageView(stage) }))
+        .filter(bookmark => bookmark.position);
+
+    return [
+        { name: 'Home', type: 'home', ...CONFIG.camera.home },
+        ...stages,
+        ...loadSavedBookmarks().map(bookmark => ({ ...bookmark, type: 'saved' }))
+    ];
+}
+
+/**
+ * Smoothly move the camera and orbit target to a view ({ position, target } arrays)
+ */
+function flyTo(view, duration = CONFIG.camera.flyDuration) {
+    cameraFlight = {
+        fromPosition: camera.position.clone(),
+        fromTarget: controls.target.clone(),
+        toPosition: new THREE.Vector3(...view.position),
+        toTarget: new THREE.Vector3(...view.target),
+        start: performance.now(),
+        duration: Math.max(duration, 1)
+    };
+}
+
+function flyToBookmark(name) {
+    const bookmark = getCameraBookmarks().find(b => b.name === name);
+    if (!bookmark) {
+        console.warn(`Unknown camera bookmark: ${name}`);
+        return false;
+    }
+    flyTo(bookmark);
+    return true;
+}
+
+/**
+ * Advance a camera flight - called from the animation loop before controls.update()
+ */
+function updateCameraFlight() {
+    if (!cameraFlight) return;
+
+    const t = Math.min((performance.now() - cameraFlight.start) / cameraFlight.duration, 1);
+    const eased = easeInOutCubic(t);
+    camera.position.lerpVectors(cameraFlight.fromPosition, cameraFlight.toPosition, eased);
+    controls.target.lerpVectors(cameraFlight.fromTarget, cameraFlight.toTarget, eased);
+
+    if (t === 1) cameraFlight = null;
+}
+
+function saveCameraBookmark(name) {
+    const trimmed = name?.trim();
+    if (!trimmed) return false;
+
+    const bookmarks = loadSavedBookmarks().filter(b => b.name !== trimmed);
+    bookmarks.push({ name: trimmed, position: camera.position.toArray(), target: controls.target.toArray() });
+    if (!storeSavedBookmarks(bookmarks)) return false;
+    updateBookmarkControls(trimmed);
+    return true;
+}
+
+function deleteCameraBookmark(name) {
+    const bookmarks = loadSavedBookmarks();
+    const remaining = bookmarks.filter(b => b.name !== name);
+    if (remaining.length === bookmarks.length) return false;
+
+    if (!storeSavedBookmarks(remaining)) return false;
+    updateBookmarkControls();
+    return true;
+}
+
+/**
+ * Guided tour: fly through the process stages in order, looping until stopped
+ */
+function startTour(dwellMs = CONFIG.camera.tourDwell) {
+    stopTour();
+    const stops = getCameraBookmarks().filter(b => b.type === 'stage');
+    if (stops.length === 0) return;
+
+    tour.active = true;
+    tour.index = 0;
+    const next = () => {
+        const stop = stops[tour.index % stops.length];
+        flyTo(stop);
+        updateBookmarkControls(stop.name);
+        tour.index++;
+        tour.timer = setTimeout(next, CONFIG.camera.flyDuration + dwellMs);
+    };
+    next();
+    updateBookmarkControls();
+}
+
+function stopTour() {
+    clearTimeout(tour.timer);
+    tour.timer = null;
+    if (!tour.active) return;
+    tour.active = false;
+    updateBookmarkControls();
+}
+
+/**
+ * Rebuild the bookmark picker and sync the tour / delete buttons
+ */
+function updateBookmarkControls(selectedName) {
+    const select = document.getElementById('camera-bookmark');
+    if (!select) return;
+
+    const current = selectedName ?? select.value;
+    const bookmarks = getCameraBookmarks();
+    const group = (label, type) => {
+        const options = bookmarks
+            .filter(b => b.type === type)
+            .map(b => `<option value="${escapeHtml(b.name)}">${escapeHtml(b.name)}</option>`)
+            .join('');
+        return options ? `<optgroup label="${label}">${options}</optgroup>` : '';
+    };
+
+    select.innerHTML = '<option value="Home">Home</option>'
+        + group('Process Stages', 'stage')
+        + group('Saved Views', 'saved');
+    select.value = bookmarks.some(b => b.name === current) ? current : 'Home';
+
+    const selected = bookmarks.find(b => b.name === select.value);
+    document.getElementById('btn-bookmark-delete').disabled = selected?.type !== 'saved';
+
+    const tourBtn = document.getElementById('btn-tour');
+    tourBtn.classList.toggle('active', tour.active);
+    tourBtn.textContent = tour.active ? 'Stop Tour' : 'Tour';
+}
+
+function setupCameraBookmarks() {
+    document.getElementById('camera-bookmark').addEventListener('change', (e) => {
+        stopTour();
+        flyToBookmark(e.target.value);
+        updateBookmarkControls();
+    });
+
+    document.getElementById('btn-bookmark-save').addEventListener('click', () => {
+        const name = window.prompt('Name for this view:');
+        if (name === null) return;
+        if (getCameraBookmarks().some(b => b.type !== 'saved' && b.name === name.trim())) {
+            alert(`"${name.trim()}" is a built-in view, pick another name`);
+            return;
+        }
+        if (!saveCameraBookmark(name) && name.trim()) {
+            alert('Could not save the view - browser storage is full or disabled');
+        }
+    });
+
+    document.getElementById('btn-bookmark-delete').addEventListener('click', () => {
+        deleteCameraBookmark(document.getElementById('camera-bookmark').value);
+    });
+
+    document.getElementById('btn-tour').addEventListener('click', () => {
+        if (tour.active) stopTour();
+        else startTour();
+    });
+
+    // Grabbing the camera cancels a flight and ends the tour
+    controls.addEventListener('start', () => {
+        cameraFlight = null;
+        stopTour();
+    });
+
+    updateBookmarkControls();
+}
+
+/**
+ * Called once the model is loaded - stage bookmarks need the component boxes
+ */
+function onBookmarksModelReady() {
+    updateBookmarkControls();
+
+    // Wall display mode: ?tour=1 (optional ?tourDwell=<seconds>)
+    const urlParams = new URLSearchParams(window.location.search);
+    if (urlParams.get('tour') === '1') {
+        const dwell = Number(urlParams.get('tourDwell'));
+        startTour(dwell > 0 ? dwell * 1000 : CONFIG.camera.tourDwell);
     }
+}
+
+// ============================================================================
+// PERMISSIONS
+// ============================================================================
+
+// Controls that are only shown with a permission (roles are resolved by WTPAPI)
+const PERMISSION_CONTROLS = {
+    'alarms.acknowledge': ['btn-ack-all'],
+    simulation: ['btn-simulate'],
+    thresholds: ['btn-logic-engine', 'btn-scheduler']
+};
+
+/**
+ * Whether the current role may use a feature. The visualizer embedded without
+ * api-config.js has no sign-in, so everything is allowed there.
+ */
+function can(permission) {
+    return window.WTPAPI ? window.WTPAPI.hasPermission(permission) : true;
+}
+
+/**
+ * can() for actions - logs why an action was refused
+ */
+function checkPermission(permission, action) {
+    if (can(permission)) return true;
+    console.warn(`Permission denied: ${action} needs "${permission}" (role ${window.WTPAPI?.getRole()})`);
+    return false;
+}
+
+/**
+ * Show the controls of the current role and leave the features it lost.
+ * Called by WTPAPI whenever the role changes.
+ */
+function applyPermissions() {
+    Object.entries(PERMISSION_CONTROLS).forEach(([permission, ids]) => {
+        ids.forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.style.display = can(permission) ? '' : 'none';
+        });
+    });
 
-    // Hide manual controls panel
-    // document.getElementById('manual-controls').classList.remove('active');
+    if (!can('simulation') && simulationInterval) stopSimulation();
+    if (!can('inspect') && selectedPick) closeDetailDrawer();
+    if (!can('commands')) closeCommandConfirm();
+    closeContextMenu();
+    updateAlarmPanel();
 }
 
 // ============================================================================
@@ -1752,118 +5237,194 @@ function zoomOut() {
 
 function setupControls() {
     document.getElementById('btn-reset-view').addEventListener('click', () => {
-        camera.position.set(30, 25, 30);
-        controls.target.set(0, 0, 0);
-        controls.update();
+        stopTour();
+        flyTo(CONFIG.camera.home);
+        updateBookmarkControls('Home');
     });
 
     document.getElementById('btn-toggle-labels').addEventListener('click', toggleLabels);
 
-    // const simBtn = document.getElementById('btn-simulate');
-    // simBtn.addEventListener('click', () => {
-    //     if (simulationInterval) {
-    //         stopSimulation();
-    //         simBtn.classList.remove('active');
-    //         simBtn.textContent = 'Simulate Data';
-    //         // Restart API polling if available
-    //         if (window.WTPAPI && !window.WTPAPI.isPolling()) {
-    //             window.WTPAPI.startPolling();
-    //         }
-    //     } else {
-    //         // Stop API polling when starting simulation
-    //         if (window.WTPAPI && window.WTPAPI.isPolling()) {
-    //             window.WTPAPI.stopPolling();
-    //         }
-    //         startSimulation();
-    //         simBtn.classList.add('active');
-    //         simBtn.textContent = 'Stop Simulation';
-    //     }
-    // });
+    document.getElementById('btn-model-report').addEventListener('click', () => showModelReport());
+    document.getElementById('model-report-close').addEventListener('click', hideModelReport);
+    document.getElementById('loading-retry').addEventListener('click', () => loadModel());
+
+    document.getElementById('btn-simulate').addEventListener('click', () => {
+        if (simulationInterval) stopSimulation();
+        else startSimulation();
+    });
 
     // document.getElementById('btn-zoom-in').addEventListener('click', zoomIn);
     // document.getElementById('btn-zoom-out').addEventListener('click', zoomOut);
 
-    // Manual control mode toggle
-    // document.getElementById('mode-random').addEventListener('click', () => {
-    //     simulationMode = 'random';
-    //     document.getElementById('mode-random').classList.add('active');
-    //     // document.getElementById('mode-manual').classList.remove('active');
-    // });
-
-    // document.getElementById('mode-manual').addEventListener('click', () => {
-    //     simulationMode = 'manual';
-    //     document.getElementById('mode-manual').classList.add('active');
-    //     document.getElementById('mode-random').classList.remove('active');
-    // });
-
-    // RWT controls
-    // setupSlider('ctrl-rwt-level', 'val-rwt-level', (val) => {
-    //     manualValues.rwt.level = parseFloat(val);
-    // }, '%');
-
-    // setupSlider('ctrl-rwt-ph', 'val-rwt-ph', (val) => {
-    //     manualValues.rwt.ph = parseFloat(val);
-    // });
-
-    // setupSlider('ctrl-rwt-turbidity', 'val-rwt-turbidity', (val) => {
-    //     manualValues.rwt.turbidity = parseFloat(val);
-    // }, ' NTU');
-
-    // // CFT controls
-    // setupSlider('ctrl-cft-level', 'val-cft-level', (val) => {
-    //     manualValues.cft.level = parseFloat(val);
-    // }, '%');
-
-    // document.getElementById('ctrl-cft-mixer').addEventListener('change', (e) => {
-    //     manualValues.cft.mixer = e.target.checked;
-    // });
-
-    // // SCT controls
-    // setupSlider('ctrl-sct-level', 'val-sct-level', (val) => {
-    //     manualValues.sct.level = parseFloat(val);
-    // }, '%');
-
-    // setupSlider('ctrl-sct-sludge', 'val-sct-sludge', (val) => {
-    //     manualValues.sct.sludge = parseFloat(val);
-    // }, '%');
-
-    // document.getElementById('ctrl-sct-scraper').addEventListener('change', (e) => {
-    //     manualValues.sct.scraper = e.target.checked;
-    // });
-
-    // // CWT controls
-    // setupSlider('ctrl-cwt-level', 'val-cwt-level', (val) => {
-    //     manualValues.cwt.level = parseFloat(val);
-    // }, '%');
-
-    // setupSlider('ctrl-cwt-chlorine', 'val-cwt-chlorine', (val) => {
-    //     manualValues.cwt.chlorine = parseFloat(val);
-    // }, ' mg/L');
-
-    // // Pump controls
-    // document.getElementById('ctrl-pump1').addEventListener('change', (e) => {
-    //     manualValues.pumps.pump1 = e.target.checked;
-    // });
-
-    // document.getElementById('ctrl-pump2').addEventListener('change', (e) => {
-    //     manualValues.pumps.pump2 = e.target.checked;
-    // });
-
-    // document.getElementById('ctrl-cdp').addEventListener('change', (e) => {
-    //     manualValues.pumps.cdp = e.target.checked;
-    // });
-}
-
-// function setupSlider(sliderId, valueId, callback, suffix = '') {
-//     const slider = document.getElementById(sliderId);
-//     const valueDisplay = document.getElementById(valueId);
-
-//     slider.addEventListener('input', (e) => {
-//         const value = e.target.value;
-//         valueDisplay.textContent = value + suffix;
-//         callback(value);
-//     });
-// }
+    setupSimulationPanel();
+    setupCameraBookmarks();
+    setupOverlayModes();
+}
+
+// ============================================================================
+// SIMULATION PANEL
+// ============================================================================
+
+// Slider range per payload field name: [min, max, step, suffix]
+const MANUAL_FIELD_RANGES = {
+    Level: [0, 100, 0.5, '%'],
+    Sludge_Level: [0, 100, 0.5, '%'],
+    pH: [0, 14, 0.1, ''],
+    Turbidity: [0, 200, 0.5, ' NTU'],
+    Turbidity_Outlet: [0, 50, 0.1, ' NTU'],
+    Inflow_Rate: [0, 250, 1, ' m³/h'],
+    Outflow_Rate: [0, 250, 1, ' m³/h'],
+    Flow_Rate: [0, 250, 1, ' m³/h'],
+    Total_Inflow: [0, 250, 1, ' m³/h'],
+    Total_Outflow: [0, 250, 1, ' m³/h'],
+    Dosing_Rate: [0, 20, 0.1, ' L/h'],
+    Total_Chemical_Used: [0, 10000, 10, ' L'],
+    Pressure: [0, 6, 0.1, ' bar'],
+    Outlet_Pressure: [0, 6, 0.1, ' bar'],
+    Differential_Pressure: [0, 3, 0.05, ' bar'],
+    Residual_Chlorine: [0, 3, 0.05, ' mg/L']
+};
+
+const MANUAL_FIELD_OPTIONS = {
+    Mode: ['AUTO', 'MANUAL', 'OFF'],
+    System_Mode: ['AUTO', 'MANUAL', 'MAINTENANCE']
+};
+
+const getValueAtPath = (obj, path) => path.split('.').reduce((acc, key) => acc?.[key], obj);
+
+function setValueAtPath(obj, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    keys.reduce((acc, key) => acc[key], obj)[last] = value;
+}
+
+/**
+ * One control per field of getDefaultPayload(): slider for numbers,
+ * checkbox for booleans, select for modes
+ */
+function renderManualFields() {
+    const container = document.getElementById('sim-fields');
+    if (!container) return;
+
+    const row = (path, name) => {
+        const value = getValueAtPath(manualValues, path);
+        const label = name.replace(/_/g, ' ');
+
+        if (typeof value === 'boolean') {
+            return `<label class="sim-field"><span class="label">${label}</span>
+                <input type="checkbox" data-path="${path}" ${value ? 'checked' : ''}><span class="sim-value"></span></label>`;
+        }
+        if (typeof value === 'string') {
+            const options = MANUAL_FIELD_OPTIONS[name] || [value];
+            return `<label class="sim-field"><span class="label">${label}</span>
+                <select data-path="${path}">${options.map(o => `<option ${o === value ? 'selected' : ''}>${o}</option>`).join('')}</select><span class="sim-value"></span></label>`;
+        }
+        const [min, max, step, suffix] = MANUAL_FIELD_RANGES[name] || [0, 100, 1, ''];
+        return `<label class="sim-field"><span class="label">${label}</span>
+            <input type="range" data-path="${path}" data-suffix="${suffix}" min="${min}" max="${max}" step="${step}" value="${value}">
+            <span class="sim-value">${value}${suffix}</span></label>`;
+    };
+
+    const groups = [];
+    Object.entries(getDefaultPayload()).forEach(([component, fields]) => {
+        const instances = Array.isArray(fields) ? fields.map((f, i) => [`${component} ${i + 1}`, `${component}.${i}`, f]) : [[component, component, fields]];
+        instances.forEach(([title, prefix, instanceFields]) => {
+            const rows = Object.keys(instanceFields).map(name => row(`${prefix}.${name}`, name)).join('');
+            groups.push(`<details><summary>${title}</summary>${rows}</details>`);
+        });
+    });
+
+    // Keep open groups open across re-renders
+    const open = new Set([...container.querySelectorAll('details[open] summary')].map(el => el.textContent));
+    container.innerHTML = groups.join('');
+    container.querySelectorAll('details summary').forEach(el => {
+        if (open.has(el.textContent)) el.parentElement.open = true;
+    });
+}
+
+/**
+ * Start manual values from what is displayed now, so a what-if starts from the real state
+ */
+function takeCurrentValues() {
+    const defaults = getDefaultPayload();
+    const merge = (base, current) => {
+        if (Array.isArray(base)) return base.map((item, i) => merge(item, current?.[i]));
+        if (base && typeof base === 'object') {
+            return Object.fromEntries(Object.entries(base).map(([key, value]) => [key, merge(value, current?.[key])]));
+        }
+        return typeof current === typeof base ? current : base;
+    };
+    manualValues = merge(defaults, plantData);
+    renderManualFields();
+}
+
+function setSimulationMode(mode) {
+    if (mode === simulationMode) return;
+    simulationMode = mode;
+    if (mode === 'manual') takeCurrentValues();
+    updateSimulationControls();
+}
+
+function updateSimulationControls() {
+    const running = simulationInterval !== null;
+
+    const simBtn = document.getElementById('btn-simulate');
+    if (simBtn) {
+        simBtn.classList.toggle('active', running);
+        simBtn.textContent = running ? 'Stop Simulation' : 'Simulate Data';
+    }
+    window.WTPAPI?.updateToggleButton();
+
+    const panel = document.getElementById('sim-panel');
+    if (!panel) return;
+    panel.classList.toggle('active', running);
+    panel.classList.toggle('process', simulationMode === 'process');
+    panel.classList.toggle('manual', simulationMode === 'manual');
+    document.getElementById('sim-mode-process').classList.toggle('active', simulationMode === 'process');
+    document.getElementById('sim-mode-manual').classList.toggle('active', simulationMode === 'manual');
+
+    const seedInput = document.getElementById('sim-seed');
+    if (seedInput && document.activeElement !== seedInput) seedInput.value = processSeed ?? getSimulationSeed();
+}
+
+function setupSimulationPanel() {
+    const fields = document.getElementById('sim-fields');
+    if (!fields) return;
+
+    renderManualFields();
+
+    // Controls are re-rendered, so listen once on the container
+    fields.addEventListener('input', (e) => {
+        const input = e.target.closest('[data-path]');
+        if (!input) return;
+
+        let value;
+        if (input.type === 'checkbox') {
+            value = input.checked;
+        } else if (input.type === 'range') {
+            value = parseFloat(input.value);
+            input.nextElementSibling.textContent = value + input.dataset.suffix;
+        } else {
+            value = input.value;
+        }
+        setValueAtPath(manualValues, input.dataset.path, value);
+
+        // Show the change right away instead of waiting for the next tick
+        if (simulationInterval && simulationMode === 'manual') updatePlantData(structuredClone(manualValues));
+    });
+
+    document.getElementById('sim-mode-process').addEventListener('click', () => setSimulationMode('process'));
+    document.getElementById('sim-mode-manual').addEventListener('click', () => setSimulationMode('manual'));
+    document.getElementById('sim-take-current').addEventListener('click', takeCurrentValues);
+    document.getElementById('sim-restart').addEventListener('click', () => {
+        const seed = parseInt(document.getElementById('sim-seed').value, 10);
+        resetProcessModel(Number.isInteger(seed) ? seed : getSimulationSeed());
+        console.log(`Process simulation restarted with seed ${processSeed}`);
+        updateSimulationSource();
+    });
+
+    updateSimulationControls();
+}
 
 function onWindowResize() {
     camera.aspect = window.innerWidth / window.innerHeight;
@@ -1881,16 +5442,63 @@ window.WTPVisualizer = {
     updatePlantData,
     clearData: () => {
         plantData = getDefaultPayload();
+        clearHistory();
+        resetAlarmStates();
         updateDashboard();
         updateLabels();
+        updateTrendCharts();
     },
+    resetPlantData,
     startSimulation,
     stopSimulation,
+    isSimulating: () => simulationInterval !== null,
+    resetSimulation: (seed) => checkPermission('simulation', 'reset simulation') && resetProcessModel(seed),
+    setSimulationMode: (mode) => checkPermission('simulation', 'set simulation mode') && setSimulationMode(mode),
     getPlantData: () => plantData,
+    checkAlarmConditions,
+    getAlarmSummary,
+    setAlarmRules: (rules) => checkPermission('thresholds', 'set alarm rules') && setAlarmRules(rules),
+    getAlarmRules: () => alarmRules,
+    getActiveAlarms: () => activeAlarms,
+    acknowledgeAlarm,
+    acknowledgeAllAlarms,
+    shelveAlarm,
+    readAlarmJournal,
+    exportAlarmJournal,
+    getHistory: (metricKey, rangeMs = HISTORY_CONFIG.ranges['1h']) => getHistorySeries(metricKey, rangeMs),
+    startRecording,
+    stopRecording,
+    isRecording: () => recording.active,
+    startReplay,
+    seekReplay,
+    playReplay,
+    pauseReplay,
+    setReplaySpeed,
+    exitReplay,
+    isReplaying: () => replay.active,
+    inspectComponent,
+    closeDetailDrawer,
+    requestCommand,
+    updateCommandStatus,
+    applyPermissions,
     resetView: () => {
-        camera.position.set(30, 25, 30);
-        controls.target.set(0, 0, 0);
+        stopTour();
+        flyTo(CONFIG.camera.home);
     },
+    flyTo,
+    flyToBookmark,
+    getCameraBookmarks,
+    saveCameraBookmark,
+    deleteCameraBookmark,
+    startTour,
+    stopTour,
+    isTouring: () => tour.active,
+    setWaterColorMode,
+    getWaterColorMode: () => waterColorMode,
+    setOverlayMode,
+    getOverlayMode: () => overlayMode,
+    getBindingReport: () => bindingReport,
+    getModelReport,
     zoomIn,
     zoomOut
 };